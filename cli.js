@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+'use strict';
+
+const meow = require('meow');
+
+const commands = {
+    run:    require('./lib/cli/run'),
+    task:   require('./lib/cli/task'),
+    ls:     require('./lib/cli/ls'),
+    info:   require('./lib/cli/info'),
+    rm:     require('./lib/cli/rm'),
+    prune:  require('./lib/cli/prune'),
+    verify: require('./lib/cli/verify'),
+    stats:  require('./lib/cli/stats'),
+    clear:  require('./lib/cli/clear'),
+};
+
+const cli = meow(`
+    Usage
+      $ johnnycache <command> [options]
+
+    Commands
+      run [options] -- <command>  Run the command, or restore its output from the cache
+      task <name>                 Run the task declared in the config file, or restore its output from the cache
+      ls                          List all cached results
+      info <id|action>            Show the details of the matching results
+      rm <id|action>              Remove the matching results
+      prune                       Remove expired, old and (if the cache is too big) irrelevant results
+      verify                      Check whether the files of all cached results are intact
+      stats                       Show the hit / miss statistics per action
+      clear                       Remove all results
+
+    Options
+      --input              File, directory, glob or $ENV_VAR the cache key is based on (repeatable)
+      --output             File, directory or glob produced by the command (repeatable)
+      --action             Identifier of the operation (defaults to the command)
+      --ttl                Time-to-live of the cached result (e.g. 60000, 30m or 7d)
+      --compress           Compress the cached result: gzip, brotli, zstd, optionally with a level (brotli:5)
+      --restore-mode       How to restore over existing files: merge (default), clean or fail-on-conflict
+      --verbose            With "run" and "task": report the timings and progress of every phase
+      --config             With "task": path to the config file (defaults to johnnycache.config.js or .johnnycacherc.json)
+      --concurrency        With "task": the maximum number of tasks that are ran at the same time (defaults to 1)
+      --continue-on-error  With "task": keep running the tasks that don't depend on a failed task
+      --dry-run            With "task": show what would be ran, restored or skipped (and why) without running anything
+      --workspace          Path to the cache folder (defaults to .johnny)
+      --max-size           Maximum size of the cache folder (defaults to 512mb)
+      --older-than         With "prune": remove results older than the given age (e.g. 7d)
+      --fix                With "verify": remove invalid results
+      --reset              With "stats": reset the statistics
+      --json               Output JSON rather than a table
+
+    Examples
+      $ johnnycache run --input package.json --input yarn.lock --output node_modules -- yarn install
+      $ johnnycache task build
+      $ johnnycache task build --dry-run
+      $ johnnycache prune --older-than 7d --max-size 1gb
+      $ johnnycache stats
+`, {
+    flags: {
+        '--':            true,
+        input:           {type: 'string'},
+        output:          {type: 'string'},
+        action:          {type: 'string'},
+        config:          {type: 'string'},
+        verbose:         {type: 'boolean'},
+        concurrency:     {type: 'string'},
+        continueOnError: {type: 'boolean'},
+        dryRun:          {type: 'boolean'},
+        restoreMode:     {type: 'string'},
+        workspace:       {type: 'string'},
+        maxSize:         {type: 'string'},
+        olderThan:       {type: 'string'},
+        fix:             {type: 'boolean'},
+        reset:           {type: 'boolean'},
+        json:            {type: 'boolean'},
+    },
+});
+
+const [name] = cli.input;
+
+const log   = message => process.stderr.write(`johnnycache: ${message}\n`);
+const print = text => process.stdout.write(`${text}\n`);
+
+if (!commands[name]) cli.showHelp();
+
+commands[name]({flags: cli.flags, command: cli.flags['--'] || [], args: cli.input.slice(1), log, print})
+    .then(code => process.exitCode = code, error => {
+        log(error.message);
+        process.exitCode = error.exitCode || 1;
+    });
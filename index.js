@@ -4,15 +4,23 @@ const Cache = require('./lib/Cache');
 
 const CacheFlow = require('./lib/CacheFlow');
 const Intent    = require('./lib/Intent');
+const Reporter  = require('./lib/Reporter');
 
 const SavedToCache      = require('./lib/SavedToCache');
 const RestoredFromCache = require('./lib/RestoredFromCache');
 
+const FileSystemStorage = require('./lib/storage/FileSystemStorage');
+const HttpStorage       = require('./lib/storage/HttpStorage');
+
 module.exports = Cache;
 
 module.exports.Cache     = Cache;
 module.exports.CacheFlow = CacheFlow;
 module.exports.Intent    = Intent;
+module.exports.Reporter  = Reporter;
 
 module.exports.SavedToCache      = SavedToCache;
-module.exports.RestoredFromCache = RestoredFromCache;
\ No newline at end of file
+module.exports.RestoredFromCache = RestoredFromCache;
+
+module.exports.FileSystemStorage = FileSystemStorage;
+module.exports.HttpStorage       = HttpStorage;
\ No newline at end of file
@@ -1,99 +1,442 @@
 'use strict';
 
-const assert        = require('assert');
-const del           = require('del');
-const extrakt       = require('extrakt');
 const mkdirp        = require('make-dir');
+const fs            = require('fs');
+const os            = require('os');
 const path          = require('path');
-const pathExists    = require('path-exists');
+const del           = require('del');
+const pify          = require('pify');
 const parseFilesize = require('filesize-parser');
 const _             = require('lodash');
 const EventEmitter  = require('events').EventEmitter;
 const Promise       = require('bluebird');
 
 const Query             = require('./Query');
+const Config            = require('./Config');
+const CacheFlow         = require('./CacheFlow');
 const Operation         = require('./Operation');
 const Result            = require('./Result');
 const RestoredFromCache = require('./RestoredFromCache');
 const Index             = require('./Index');
+const PendingArchives   = require('./PendingArchives');
 const Runner            = require('./Runner');
+const SharedTier        = require('./SharedTier');
+const Staging           = require('./Staging');
+const Stats             = require('./Stats');
+const FileSystemStorage = require('./storage/FileSystemStorage');
 
 const getRedundantResults = require('./util/getRedundantResults');
+const getEvictionPolicy   = require('./util/getEvictionPolicy');
+const incrementFilename   = require('./util/incrementFilename');
+const getLayout           = require('./util/getLayout');
+const getTotalSize        = require('./util/getTotalSize');
+const hashFiles           = require('./util/hashFiles');
+const diffFiles           = require('./util/diffFiles');
+const parseQuota          = require('./util/parseQuota');
+
+const TIER_LOCAL  = 'local';
+const TIER_SHARED = 'shared';
+
+// The minimum length of an id prefix that results can be found by (see findResults)
+const MIN_ID_PREFIX = 4;
 
 /**
- * @event run({operation})
+ * Every event is fired with an object as its payload. The payloads of the events that concern
+ * a single operation or result hold its "action" as well, and "duration" is always in milliseconds
+ *
+ * @event hash:start({action, operation})
+ * Fired when the input of an operation is about to be hashed
+ *
+ * @event hash:end({action, operation, inputHash, outputHash, duration})
+ * Fired when the input of an operation has been hashed
+ *
+ * @event query({action, operation, query})
+ * Fired when the cache index is queried, "query" holds the constraints the results need to match
+ *
+ * @event lookup({action, operation, result, tier, duration})
+ * Fired when the cache has been searched for a result of an operation, "result" (and "tier") being null if none was found
+ *
+ * @event run({action, operation})
  * Fired when no cached result is found and thus the callback is ran
  *
- * @event restore({result, operation})
+ * @event restore({action, result, operation})
  * Fired when a cached result is found, before it's restored
  *
- * @event store({operation)}
+ * @event store({action, operation})
  * Fired after a cacheable operation has completed running, when the result is about to be stored
  *
- * @event sync()
+ * @event archive:start({action, operation, result, total})
+ * @event archive:progress({action, operation, result, bytes, total})
+ * @event archive:end({action, operation, result, bytes, duration})
+ * Fired when the output of an operation is written to the cache, "bytes" being the number of bytes written so far
+ * and "total" the number of bytes expected (null if unknown)
+ *
+ * @event extract:start({action, operation, result, total})
+ * @event extract:progress({action, operation, result, bytes, total})
+ * @event extract:end({action, operation, result, bytes, duration})
+ * Fired when a result is extracted, "bytes" being the number of bytes read so far
+ * and "total" the (approximate) number of bytes expected
+ *
+ * @event saved({action, result, operation})
+ * Fired when a result was saved to the cache
+ *
+ * @event sync({})
  * Fired when the index is refreshed / synchronised with the filesystem
  *
+ * @event evict({action, result, reason})
+ * Fired for every result that is evicted from the cache, "reason" being "expired", "quota", "maxSize", "age" or "corrupted"
+ *
  * @event cleanup({current, allowed, removing})
  * Fired when the cache exceeds the maximum allowed size and redundant results are removed from the index
  *
- * @event query({values})
- * Fired when the cache index is queried
+ * @event quota({action, quota, removing})
+ * Fired when the results of an action exceed its quota (see "quotas") and the most irrelevant ones are removed from the index
  *
- * @event saved({result, operation})
- * Fired when a result was saved to the cache
+ * @event download({action, result, operation})
+ * Fired when a result found in the shared tier is about to be copied to the local workspace
+ *
+ * @event upload({action, result})
+ * Fired when a result is about to be uploaded to the shared tier
+ *
+ * @event shared:error({action, operation, result, phase, error})
+ * Fired when the shared tier fails during the given "phase" ("lookup", "download" or "upload"),
+ * a failed lookup or download is treated as a miss and a failed upload is skipped
+ *
+ * @event fallback({action, result, operation})
+ * Fired when no exact result is found, but a fallback result (see "restoreKeys") is about to be restored
+ *
+ * @event forward({action, operation})
+ * Fired when an intermediate step of a CacheFlow is skipped, as the steps that depend on it can be restored
+ *
+ * @event audit({action, result, operation})
+ * Fired when a cached result is found, but the operation is about to be ran anyway to audit the result (see "audit")
+ *
+ * @event nondeterministic({action, result, operation, diff})
+ * Fired when the output of an audited operation differs from the cached result,
+ * "diff" lists the added, removed and changed files
+ *
+ * @event swap({action, result, operation, renamed, moved})
+ * Fired when a restored result has been swapped into place from the staging directory,
+ * "renamed" lists the directories that were renamed as a whole and "moved" the files that were moved individually
+ *
+ * @event rollback({action, result, operation, error})
+ * Fired when swapping a restored result into place failed, after the working directory was rolled back
+ *
+ * @event corrupted({action, result, operation, files, error})
+ * Fired when the files of a result that is about to be restored don't match their checksums,
+ * or when the result can't be extracted ("error"), right before the result is evicted (the operation is ran instead)
  */
 class Cache extends EventEmitter {
 
     constructor({
 
         compress = false,
+        layout = 'archive',
+        audit = 0,
+        restoreMode = 'merge',
+        mtime = 'original',
+        hardlink = false,
         workingDirectory = process.cwd(),
         maxSize = '512mb',
+        evictionPolicy = 'score',
+        quotas = {},
         workspace = null,
         dataStore = null,
+        storage = null,
+        shared = null,
 
     } = {}) {
 
         super();
 
-        this.operationDefaults = {workingDirectory, compress};
+        this.operationDefaults = {workingDirectory, compress, layout, audit, restoreMode, mtime, hardlink};
         this.workingDirectory  = workingDirectory;
         this.workspace         = workspace || path.join(this.workingDirectory, '.johnny');
         this.dataStore         = dataStore || path.join(this.workspace, '.index.json');
         this.maxSize           = parseFilesize(maxSize);
+        this.evictionPolicy    = getEvictionPolicy(evictionPolicy);
+        this.quotas            = _.mapValues(quotas, parseQuota);
+        this.storage           = storage || new FileSystemStorage({directory: this.workspace});
         this.index             = new Index({filename: this.dataStore});
+        this.statistics        = new Stats({filename: path.join(this.workspace, '.stats.json')});
+        this.pending           = new PendingArchives({directory: path.join(this.workspace, '.pending')});
+        this.shared            = shared && new SharedTier(shared);
+        this.config            = null;
     }
 
     /**
-     * Makes sure the cache size does not exceed the maximum allowed size, removing the most irrelevant rows from the DB
+     * Create a Cache instance according to the given config file,
+     * or the one found in the given directory (johnnycache.config.js or .johnnycacherc.json)
+     * @param {String} [cwd = process.cwd()]
+     * @param {String|null} [filename = null]
+     * @param {Object} options Additional options, which take precedence over the ones in the config file
+     * @returns {Cache}
+     */
+    static fromConfig({cwd = process.cwd(), filename = null, ...options} = {}) {
+        const config = Config.load({cwd, filename});
+        const cache  = new Cache({...config.cacheOptions, ..._.omitBy(options, _.isNil)});
+        cache.config = config;
+        return cache;
+    }
+
+    /**
+     * Makes sure the cache size does not exceed the maximum allowed size and the results of every action
+     * don't exceed their quota, removing the most irrelevant rows from the DB
      * @param {Number} [freeUp = 0] The number of bytes to additionally clear up
-     * @returns {[]} The results that were removed
+     * @returns {Promise.<Result[]>} The results that were removed
      */
-    maintainMaxSize(freeUp = 0) {
+    async maintainMaxSize(freeUp = 0) {
 
         const docs = this.index.all();
 
-        const results         = _.map(docs, doc => Result.fromDocument({}, doc));
-        const totalCacheSize  = _.sumBy(results, result => result.fileSize) + freeUp;
-        const resultsToRemove = getRedundantResults(results, this.maxSize, totalCacheSize);
+        const results        = _.map(docs, doc => Result.fromDocument({}, doc));
+        const exceedingQuota = this.getResultsExceedingQuotas(results);
+        const remaining      = _.difference(results, exceedingQuota);
+        const totalCacheSize = getTotalSize(remaining) + freeUp;
+        const redundant      = getRedundantResults(remaining, this.maxSize, totalCacheSize, this.evictionPolicy);
 
-        if (_.size(resultsToRemove)) {
-            this.emit('cleanup', {current: totalCacheSize, allowed: this.maxSize, removing: resultsToRemove});
-            this.removeResults(resultsToRemove);
-        }
+        if (_.size(redundant))
+            this.notify('cleanup', {current: totalCacheSize, allowed: this.maxSize, removing: redundant});
+
+        await this.evict(exceedingQuota, 'quota');
+        await this.evict(redundant, 'maxSize');
+
+        return exceedingQuota.concat(redundant);
+    }
+
+    /**
+     * Remove the given results from the index as they are evicted for the given reason,
+     * firing an "evict" event for each of them and recording the evictions in the stats
+     * @param {Result[]} results
+     * @param {String} reason "expired", "quota", "maxSize", "age" or "corrupted"
+     * @returns {Promise}
+     */
+    async evict(results, reason) {
+        if (!_.size(results)) return;
+        await this.removeResults(results);
+        for (const result of results) this.notify('evict', {result, reason});
+        await this.recordEvictions(results);
+    }
+
+    /**
+     * Record the eviction of the given results in the stats
+     * @param {Result[]} results
+     * @returns {Promise}
+     */
+    async recordEvictions(results) {
+        for (const [action, evicted] of _.toPairs(_.groupBy(results, 'action')))
+            await this.statistics.record(action, {evictions: evicted.length, bytesEvicted: getTotalSize(evicted)});
+    }
+
+    /**
+     * Get the hit / miss statistics of every action, as well as the totals (see Stats)
+     * @returns {Promise.<{since: Number|null, actions: Object, total: Object}>}
+     */
+    stats() {
+        return this.statistics.get();
+    }
+
+    /**
+     * Reset the hit / miss statistics
+     * @returns {Promise}
+     */
+    resetStats() {
+        return this.statistics.reset();
+    }
 
-        return resultsToRemove;
+    /**
+     * Get the quota for the results of the given action: the one set on the cache (see "quotas"),
+     * or else the one the most recent of the given results was stored with (see the "quota" intent option)
+     * @param {String} action
+     * @param {Result[]} results The results of the action
+     * @returns {{maxSize: Number|null, maxCount: Number|null}|null}
+     */
+    getQuota(action, results) {
+        return this.quotas[action] || _.get(_.maxBy(results, 'created'), 'quota') || null;
+    }
+
+    /**
+     * Set the quota for the results of the given action, which takes precedence over the quotas given through intents
+     * @param {String} action
+     * @param {{maxSize: Number|String|null, maxCount: Number|null}|null} quota Pass null to remove the quota
+     */
+    setQuota(action, quota) {
+        if (quota) this.quotas[action] = parseQuota(quota);
+        else delete this.quotas[action];
+    }
+
+    /**
+     * Get the results that should be removed so that the results of every action don't exceed their quota
+     * @param {Result[]} results
+     * @returns {Result[]}
+     */
+    getResultsExceedingQuotas(results) {
+        return _.flatMap(_.groupBy(results, 'action'), (group, action) => {
+            const quota = this.getQuota(action, group);
+            if (!quota) return [];
+
+            const maxSize  = _.defaultTo(quota.maxSize, Infinity);
+            const maxCount = _.defaultTo(quota.maxCount, Infinity);
+            const removing = getRedundantResults(group, maxSize, getTotalSize(group), this.evictionPolicy, maxCount);
+
+            if (_.size(removing)) this.notify('quota', {action, quota, removing});
+            return removing;
+        });
+    }
+
+    /**
+     * Pin the given results, so that they are never removed to maintain the maximum size or quotas
+     * (they are still removed once they expire)
+     * @param {Result[]} results
+     * @returns {Promise}
+     */
+    async pin(results) {
+        await this.awaitReady();
+        return this.index.update(_.map(results, 'id'), {pinned: true});
+    }
+
+    /**
+     * Unpin the given results
+     * @param {Result[]} results
+     * @returns {Promise}
+     */
+    async unpin(results) {
+        await this.awaitReady();
+        return this.index.update(_.map(results, 'id'), {pinned: false});
     }
 
     /**
      * Remove the given results from the index
      * @param {Result[]} results
+     * @returns {Promise}
      */
     removeResults(results) {
         const ids = _.map(results, 'id');
         return this.index.removeById(ids);
     }
 
+    /**
+     * Get all results in the index
+     * @returns {Promise.<Result[]>}
+     */
+    async getResults() {
+        await this.awaitReady();
+        return _.map(this.index.all(), doc => Result.fromDocument({}, doc));
+    }
+
+    /**
+     * Find the results of the given action or, if there are none, the result with the given id (or id prefix)
+     * An id prefix should be at least MIN_ID_PREFIX characters long and match a single result
+     * @param {String} idOrAction
+     * @returns {Promise.<Result[]>}
+     */
+    async findResults(idOrAction) {
+        const results  = await this.getResults();
+        const byAction = _.filter(results, {action: idOrAction});
+        if (byAction.length) return byAction;
+
+        const exact = _.filter(results, {id: idOrAction});
+        if (exact.length) return exact;
+
+        const byId = _.filter(results, ({id}) => _.startsWith(id, idOrAction));
+        if (byId.length && idOrAction.length < MIN_ID_PREFIX)
+            throw new Error(`The id prefix "${idOrAction}" is too short, use at least ${MIN_ID_PREFIX} characters`);
+        if (byId.length > 1)
+            throw new Error(`The id prefix "${idOrAction}" is ambiguous, it matches ${byId.length} results`);
+        return byId;
+    }
+
+    /**
+     * Find the (unexpired) results that match the given filter, e.g. {action, tags, metadata, createdAfter}
+     * (see Query.fromFilter)
+     * @param {Object} [filter = {}]
+     * @returns {Promise.<Result[]>}
+     */
+    async query(filter = {}) {
+        await this.awaitReady();
+        return _.map(this.index.filter(Query.fromFilter(filter).predicate), doc => Result.fromDocument({}, doc));
+    }
+
+    /**
+     * Remove the given results from the index and delete their files
+     * @param {Result[]} results
+     * @returns {Promise}
+     */
+    async deleteResults(results) {
+        await this.removeResults(results);
+        await this.purgeUntracked();
+    }
+
+    /**
+     * Remove all results from the cache
+     * @returns {Promise.<Result[]>} The results that were removed
+     */
+    async clear() {
+        const results = await this.getResults();
+        await this.deleteResults(results);
+        return results;
+    }
+
+    /**
+     * Remove expired results, (unpinned) results older than the given age and the most irrelevant
+     * results if the maximum size or quotas are exceeded
+     * @param {Number|null} [olderThan = null] The maximum age in milliseconds
+     * @returns {Promise.<Result[]>} The results that were removed
+     */
+    async prune({olderThan = null} = {}) {
+
+        // Read the index without syncing first, so results removed by the sync are included as well
+        await this.index.sync();
+        const before = _.map(this.index.all(), doc => Result.fromDocument({}, doc));
+
+        if (olderThan !== null)
+            await this.evict(_.filter(before, ({created, pinned}) => !pinned && created < Date.now() - olderThan), 'age');
+
+        await this.sync();
+
+        const remaining = _.map(this.index.all(), 'id');
+        return _.reject(before, ({id}) => _.includes(remaining, id));
+    }
+
+    /**
+     * Check whether all the files of every result in the index are present in the storage
+     * and intact (i.e. match the checksums that were recorded when the result was stored)
+     * @param {Boolean} [remove = false] Whether to remove invalid results (and their corrupted files)
+     * @returns {Promise.<{valid: Result[], invalid: {result: Result, reason: String}[]}>}
+     */
+    async verify({remove = false} = {}) {
+        const valid     = [];
+        const invalid   = [];
+        const corrupted = [];
+
+        for (const result of await this.getResults()) {
+            const layout    = getLayout(result.layout);
+            const filenames = layout.getFilenames(result);
+            const exists    = await Promise.all(_.map(filenames, filename => this.storage.exists(filename)));
+            const missing   = _.filter(filenames, (filename, i) => !exists[i]);
+
+            if (missing.length) {
+                invalid.push({result, reason: `Missing ${missing.join(', ')}`});
+                continue;
+            }
+
+            const files = await layout.verify({cache: this, result});
+
+            if (files.length) {
+                invalid.push({result, reason: `Corrupted ${files.join(', ')}`});
+                corrupted.push(...files);
+            }
+            else valid.push(result);
+        }
+
+        if (remove && invalid.length) {
+            await Promise.all(_.map(_.uniq(corrupted), filename => this.storage.delete(filename)));
+            await this.deleteResults(_.map(invalid, 'result'));
+        }
+
+        return {valid, invalid};
+    }
+
     /**
      * Returns a promise for the preparation of the cache
      * @returns {Promise}
@@ -109,7 +452,7 @@ class Cache extends EventEmitter {
      * @returns {this}
      */
     async sync() {
-        this.emit('sync');
+        this.notify('sync');
 
         if (!this.mkdirp) {
             // Make sure the workspace directory exists
@@ -121,10 +464,11 @@ class Cache extends EventEmitter {
         await this.index.sync();
 
         // Remove expired rows from the index
-        this.index.removeExpired();
+        const expired = await this.index.removeExpired();
+        await this.evict(_.map(expired, doc => Result.fromDocument({}, doc)), 'expired');
 
         // Remove irrelevant rows from the index if the max size is exceeded
-        this.maintainMaxSize();
+        await this.maintainMaxSize();
 
         // Delete all cache files that are not represented in the index
         await this.purgeUntracked();
@@ -134,14 +478,39 @@ class Cache extends EventEmitter {
 
     /**
      * Remove files for which there is no related row in the index
+     * Files of archives that are still being written by some process and the files they refer to (including
+     * any temporary files the storage adapter uses while writing them) are left alone, as are the files in
+     * a storage that is not exclusive to this cache (as they may be tracked by another cache)
      * @returns {Promise}
      */
-    purgeUntracked() {
-        const docs      = this.index.all();
-        const wildcard  = path.join(this.workspace, '*.*');
-        const whitelist = _.map(docs, doc => `!${this.getAbsolutePath(doc.filename)}`);
+    async purgeUntracked() {
+
+        if (!this.storage.isExclusive) return;
+
+        // The order matters here: a pending marker is only removed once the
+        // row has been inserted, so the index must be read after the markers
+        const files   = await this.storage.list();
+        const pending = await this.pending.list();
+        const tracked = _.flatMap(this.index.all(), doc => getLayout(doc.layout).getFilenames(doc));
 
-        return del([wildcard].concat(whitelist), {force: true});
+        const claimed   = _.flatMap(pending, ({filename, references}) => [filename, ...references]);
+        const isPending = filename => _.some(claimed, p => filename === p || filename.startsWith(`${p}.`));
+        const untracked = _.reject(_.difference(files, tracked), isPending);
+
+        await Promise.all(_.map(untracked, filename => this.storage.delete(filename)));
+    }
+
+    /**
+     * Find an unused filename based on the given one and claim it,
+     * so that no other process will use it or purge it until it is released
+     * @param {String} filename
+     * @returns {Promise.<String>}
+     */
+    reserveFilename(filename) {
+        return incrementFilename({
+            filename,
+            exists: async p => await this.storage.exists(p) || !await this.pending.claim(p),
+        });
     }
 
     /**
@@ -150,55 +519,406 @@ class Cache extends EventEmitter {
      * @return {string}
      */
     getAbsolutePath(filename) {
-        assert(filename);
-        return path.join(this.workspace, filename);
+        return this.storage.getLocalPath(filename);
     }
 
     /**
      * Insert the given result into the index
      * @param result
+     * @returns {Promise}
+     */
+    async insert(result) {
+        result.id = (await this.index.insert(result.toDocument())).id;
+    }
+
+    /**
+     * Upload the given result to the shared tier (if there is a writable one)
+     * @param {Result} result
+     * @returns {Promise.<void>}
+     */
+    async upload(result) {
+        // Results stored in the "dedupe" and "tree" layouts only exist
+        // in the local workspace, so these are not uploaded
+        if (!this.shared || this.shared.readOnly || !getLayout(result.layout).isShareable) return;
+        this.notify('upload', {result});
+        try {
+            await this.shared.upload(result, this.storage);
+            await this.shared.maintainMaxSize();
+        } catch (error) {
+            this.notify('shared:error', {result, phase: 'upload', error});
+        }
+    }
+
+    /**
+     * Copy the given result from the shared tier to the local workspace
+     * @param {Result} result A result that was found in the shared tier
+     * @param {Operation} operation
+     * @returns {Promise.<Result>} The result as stored in the local tier
      */
-    insert(result) {
-        result.id = this.index.insert(result.toDocument()).id;
+    async download(result, operation) {
+        this.notify('download', {result, operation});
+
+        const local = Result.fromDocument(operation, {...result.toDocument(), tier: TIER_LOCAL});
+
+        local.filename = await this.reserveFilename(result.filename);
+
+        try {
+            await this.storage.put(local.filename, this.shared.storage.get(result.filename));
+            await this.insert(local);
+        } finally {
+            await this.pending.release(local.filename);
+        }
+
+        await this.sync();
+
+        return local;
     }
 
     /**
      * Restores the result for the given operation
+     * If the result turns out to be corrupted, it's evicted and the operation is ran instead
      * @param operation
-     * @returns {Promise.<RestoredFromCache>}
+     * @param args
+     * @returns {Promise.<RestoredFromCache|SavedToCache>}
      */
-    async restore(operation) {
-        const result = await this.getResult(operation);
-        let start    = Date.now();
-        this.emit('restore', {result, operation});
-        await extrakt(this.getAbsolutePath(result.filename), result.workingDirectory);
+    async restore(operation, ...args) {
+        let result = await this.getResult(operation);
+        let start  = Date.now();
+        const tier = result.tier;
+        this.notify('restore', {result, operation});
+        if (tier === TIER_SHARED) {
+            try {
+                result = await this.download(result, operation);
+            } catch (error) {
+                this.notify('shared:error', {result, operation, phase: 'download', error});
+                return this.runOperation(operation, ...args);
+            }
+        }
+        if (!await this.ensureIntegrity(result, operation)) return this.runOperation(operation, ...args);
+        const audit = operation.shouldAudit() ? await this.audit(result, operation, ...args) : null;
+        if (!audit) {
+            await this.checkConflicts(result, operation);
+            if (!await this.extractIntact(result, operation)) return this.runOperation(operation, ...args);
+        }
+        await this.index.touch(result.id);
         const runtime = Date.now() - start;
-        return new RestoredFromCache({result, runtime});
+        // An audited result was not restored (the operation ran anyway), so it's not counted as a hit
+        await this.statistics.record(result.action, audit ?
+            {audits: 1, runTime: operation.runtime} :
+            {hits: 1, restoreTime: runtime, timeSaved: (result.runtime || 0) - runtime});
+        return new RestoredFromCache({result, runtime, tier, audit});
+    }
+
+    /**
+     * Make sure none of the existing files at the output of the given operation differ
+     * from the ones in the given result, if the "restoreMode" of the operation is "fail-on-conflict"
+     * @param {Result} result
+     * @param {Operation} operation
+     * @returns {Promise} Rejects with an error that holds the "conflicts" otherwise
+     */
+    async checkConflicts(result, operation) {
+        if (operation.restoreMode !== 'fail-on-conflict') return;
+        const conflicts = await this.getConflicts(result, operation);
+        if (conflicts.length) {
+            const error     = new Error(`Refusing to restore "${result.action}" as ${conflicts.length} existing file(s) differ: ${conflicts.join(', ')}`);
+            error.conflicts = conflicts;
+            throw error;
+        }
+    }
+
+    /**
+     * Get the existing files at the output of the given operation that differ from the ones in the given result
+     * @param {Result} result
+     * @param {Operation} operation
+     * @returns {Promise.<String[]>}
+     */
+    async getConflicts(result, operation) {
+        const existing = await operation.hashOutput();
+        if (Operation.getContentHash(existing) === result.contentHash) return [];
+        const cached = await this.hashResult(result, operation);
+        return _.filter(_.keys(cached), file => _.has(existing, file) && existing[file] !== cached[file]);
+    }
+
+    /**
+     * Run the operation despite the cached result, and compare its output to the cached result
+     * @param {Result} result
+     * @param {Operation} operation
+     * @param args
+     * @returns {Promise.<{diff: Object|null}>}
+     */
+    async audit(result, operation, ...args) {
+        this.notify('audit', {result, operation});
+
+        await operation.run(...args);
+
+        const files = await operation.hashOutput();
+        const diff  = Operation.getContentHash(files) === result.contentHash ?
+            null : diffFiles(await this.hashResult(result, operation), files);
+
+        if (diff) this.notify('nondeterministic', {result, operation, diff});
+
+        return {diff};
+    }
+
+    /**
+     * Get the content hashes of the files of the given result,
+     * by extracting it into a temporary directory
+     * @param {Result} result
+     * @param {Operation} operation
+     * @returns {Promise.<Object>} A {path: hash} map
+     */
+    async hashResult(result, operation) {
+        const directory = await pify(fs.mkdtemp)(path.join(os.tmpdir(), 'johnnycache-'));
+        try {
+            await this.extract(Result.fromDocument({workingDirectory: directory}, result.toDocument()));
+            return await hashFiles(operation.output, directory);
+        } finally {
+            await del(directory, {force: true});
+        }
+    }
+
+    /**
+     * Verify the files of the given result against the checksums that were recorded when it was stored
+     * A corrupted result is evicted from the cache, along with its corrupted files
+     * @param {Result} result
+     * @param {Operation} operation
+     * @returns {Promise.<Boolean>} Whether the result is intact
+     */
+    async ensureIntegrity(result, operation) {
+        const files = await getLayout(result.layout).verify({cache: this, result});
+        if (!files.length) return true;
+
+        await this.discardCorrupted(result, operation, files);
+        return false;
+    }
+
+    /**
+     * Evict the given corrupted result, deleting its corrupted files
+     * @param {Result} result
+     * @param {Operation} operation
+     * @param {String[]} files The corrupted files
+     * @param {Error|null} [error = null] The error the result could not be extracted with
+     * @returns {Promise}
+     */
+    async discardCorrupted(result, operation, files, error = null) {
+        this.notify('corrupted', {result, operation, files, error});
+        await Promise.all(_.map(files, filename => this.storage.delete(filename)));
+        await this.evict([result], 'corrupted');
+        await this.purgeUntracked();
+    }
+
+    /**
+     * Extract the given result (see extractAtomically), or evict it if it turns out to be corrupted while
+     * it's extracted (e.g. an archive that can't be decoded, but was stored without a checksum)
+     * @param {Result} result
+     * @param {Operation} operation
+     * @returns {Promise.<Boolean>} Whether the result was extracted
+     */
+    async extractIntact(result, operation) {
+        try {
+            await this.extractAtomically(result, operation);
+            return true;
+        } catch (error) {
+            if (!error.corrupted) throw error;
+            await this.discardCorrupted(result, operation, [], error);
+            return false;
+        }
     }
 
-    emitForward() {
-        this.emit('forward');
+    /**
+     * Extract the given result into a staging directory inside the workspace, and then swap it into place
+     * (according to the "restoreMode" of the operation) so the output is never left half-populated
+     * If the swap fails, the files that were already moved into place are rolled back
+     * @param {Result} result
+     * @param {Operation} operation
+     * @returns {Promise}
+     */
+    async extractAtomically(result, operation) {
+        await mkdirp(path.join(this.workspace, '.staging'));
+
+        const staging = new Staging({
+            directory:        await pify(fs.mkdtemp)(path.join(this.workspace, '.staging', 'restore-')),
+            workingDirectory: result.workingDirectory,
+            output:           operation.output,
+            clean:            operation.restoreMode === 'clean',
+        });
+
+        try {
+            await this.extract(Result.fromDocument({workingDirectory: staging.stage}, result.toDocument()), operation);
+            try {
+                const {renamed, moved} = await staging.swap();
+                this.notify('swap', {result, operation, renamed, moved});
+            } catch (error) {
+                this.notify('rollback', {result, operation, error});
+                throw error;
+            }
+        } finally {
+            await staging.cleanup();
+        }
     }
 
     /**
-     * Try to find a cached result for the given operation
+     * Extract the archive of the given result into its working directory
+     * @param {Result} result
+     * @param {Operation|null} [operation = null] The operation that determines the mtimes of the restored files
+     *   (and whether they may be hardlinked)
+     * @returns {Promise}
+     */
+    extract(result, operation = null) {
+        const {mtime, hardlink} = operation || {mtime: 'original', hardlink: false};
+        return this.trackPhase('extract', {operation, result}, getTotalSize([result]), progress => {
+            return getLayout(result.layout).restore({cache: this, result, mtime, hardlink, progress});
+        });
+    }
+
+    /**
+     * Fire the "forward" event for the given operation, of which the CacheFlow step is skipped
+     * @param {Operation} operation
+     */
+    emitForward(operation) {
+        this.notify('forward', {operation});
+    }
+
+    /**
+     * Fire the given event, adding the action of the operation or result in the payload (if any)
+     * @param {String} event
+     * @param {Object} [payload = {}]
+     */
+    notify(event, payload = {}) {
+        const subject = payload.operation || payload.result;
+        this.emit(event, subject && !_.has(payload, 'action') ? {action: subject.action, ...payload} : payload);
+    }
+
+    /**
+     * Perform the given phase ("archive" or "extract") of storing or restoring a result,
+     * firing the "{phase}:start", "{phase}:progress" and "{phase}:end" events
+     * @param {String} phase
+     * @param {Object} payload {operation, result}
+     * @param {Number|null} total The number of bytes expected, if known
+     * @param {Function} perform Invoked with a callback that is to be invoked with the number of bytes
+     *   that were processed since the last invocation
+     * @returns {Promise}
+     */
+    async trackPhase(phase, payload, total, perform) {
+        const start = Date.now();
+        let bytes   = 0;
+
+        this.notify(`${phase}:start`, {...payload, total});
+        await perform(processed => {
+            bytes += processed;
+            this.notify(`${phase}:progress`, {...payload, bytes, total});
+        });
+        this.notify(`${phase}:end`, {...payload, bytes, duration: Date.now() - start});
+    }
+
+    /**
+     * Hash the input of the given operation (unless it already has been), firing the "hash:start" and "hash:end" events
+     * @param {Operation} operation
+     * @returns {Promise.<{inputHash: String, outputHash: String}>}
+     */
+    async hashOperation(operation) {
+        if (operation.hashes) return operation.hashes;
+
+        const start = Date.now();
+        this.notify('hash:start', {operation});
+        const hashes = await operation.getHashes();
+        this.notify('hash:end', {operation, ...hashes, duration: Date.now() - start});
+
+        return hashes;
+    }
+
+    /**
+     * Try to find a cached result for the given operation,
+     * consulting the local workspace first and the shared tier (if any) second
      * @param {Operation} operation
      * @returns {Result}
      */
     async getResult(operation) {
 
         const [query] = await Promise.all([
-            Query.fromOperation(operation),
+            this.hashOperation(operation).then(() => Query.fromOperation(operation)),
             this.awaitReady()
         ]);
 
-        this.emit('query', {query: query.constraints});
+        const start = Date.now();
+        this.notify('query', {operation, query: query.constraints});
+
+        const result = await this.findResult(operation, query);
+
+        this.notify('lookup', {operation, result, tier: result ? result.tier : null, duration: Date.now() - start});
+
+        return result;
+    }
+
+    /**
+     * Find a result matching the given query in the local workspace, or else in the shared tier (if any)
+     * @param {Operation} operation
+     * @param {Query} query
+     * @returns {Promise.<Result|null>}
+     */
+    async findResult(operation, query) {
 
         const doc = this.index.findOne(query.predicate);
 
-        return (doc && await pathExists(this.getAbsolutePath(doc.filename))) ?
-            Result.fromDocument(operation, doc) :
-            null;
+        if (doc && await this.storage.exists(doc.filename))
+            return Result.fromDocument(operation, {...doc, tier: TIER_LOCAL});
+
+        const sharedDoc = this.shared ? await this.findShared(operation, query) : null;
+
+        return sharedDoc ? Result.fromDocument(operation, {...sharedDoc, tier: TIER_SHARED}) : null;
+    }
+
+    /**
+     * Find the document that satisfies the given query in the shared tier
+     * @param {Operation} operation
+     * @param {Query} query
+     * @returns {Promise.<Object|null>} Null if there is none, or if the shared tier can't be reached
+     */
+    async findShared(operation, query) {
+        try {
+            return await this.shared.findOne(query);
+        } catch (error) {
+            this.notify('shared:error', {operation, phase: 'lookup', error});
+            return null;
+        }
+    }
+
+    /**
+     * Try to find a fallback result for the given operation, based on its "restoreKeys"
+     * Only the local workspace is consulted
+     * @param {Operation} operation
+     * @returns {Promise.<Result|null>} The most recent result that satisfies the first matching restore key
+     */
+    async getFallbackResult(operation) {
+
+        const [queries] = await Promise.all([
+            Query.fallbacksFromOperation(operation),
+            this.awaitReady()
+        ]);
+
+        for (const query of queries) {
+            const docs = _.orderBy(this.index.filter(query.predicate), 'created', 'desc');
+            for (const doc of docs)
+                if (await this.storage.exists(doc.filename))
+                    return Result.fromDocument(operation, {...doc, tier: TIER_LOCAL});
+        }
+
+        return null;
+    }
+
+    /**
+     * Restore the fallback result for the given operation (if any)
+     * @param {Operation} operation
+     * @returns {Promise.<Result|null>} The restored fallback result
+     */
+    async restoreFallback(operation) {
+        if (!operation.restoreKeys.length) return null;
+
+        const result = await this.getFallbackResult(operation);
+        if (!result || !await this.ensureIntegrity(result, operation)) return null;
+
+        this.notify('fallback', {result, operation});
+        return await this.extractIntact(result, operation) ? result : null;
     }
 
     /**
@@ -223,12 +943,16 @@ class Cache extends EventEmitter {
      * @TODO we need a naming difference between "run" and "run"..
      * This method will actually RUN the operation runner function
      * Whereas "Cache.run" will either restore or run the operation
+     * If the operation has "restoreKeys", a fallback result is restored before running it
      * @param operation
      * @param args
      * @returns {SavedToCache}
      */
-    runOperation(operation, ...args) {
-        return (new Runner({cache: this, operation})).run(...args);
+    async runOperation(operation, ...args) {
+        const fallback = await this.restoreFallback(operation);
+        const saved    = await (new Runner({cache: this, operation, fallback})).run(...args);
+        await this.statistics.record(operation.action, {misses: 1, runTime: saved.operationRuntime, bytesStored: getTotalSize([saved.result])});
+        return saved;
     }
 
     /**
@@ -240,13 +964,53 @@ class Cache extends EventEmitter {
     async run(intent, ...args) {
         if (intent.isCacheable) {
             const operation = this.convertIntent(intent);
-            if (await this.hasResult(operation)) return this.restore(operation);
+            if (await this.hasResult(operation)) return this.restore(operation, ...args);
             else return this.runOperation(operation, ...args);
         } else {
             await intent.run(...args);
             return null;
         }
     }
+
+    /**
+     * Run the task with the given name (as declared in the config file) in a CacheFlow,
+     * along with the tasks it depends on
+     * @param {String} name
+     * @param {Function|null} [wrap = null] Invoked as wrap(actual, name) for each task, see CacheFlow.add
+     * @param {Object} [options = {}] The CacheFlow options, i.e. "concurrency" and "failFast"
+     * @returns {Promise}
+     */
+    async runTask(name, wrap = null, options = {}) {
+        const flow = await this.createTaskFlow(name, wrap, options);
+        await flow.run();
+    }
+
+    /**
+     * Preview what running the task with the given name would do, without running anything (see CacheFlow.plan)
+     * @param {String} name
+     * @returns {Promise.<Object[]>}
+     */
+    async planTask(name) {
+        const flow = await this.createTaskFlow(name);
+        return flow.plan();
+    }
+
+    /**
+     * Create the (evaluated) CacheFlow for the task with the given name and the tasks it depends on
+     * @param {String} name
+     * @param {Function|null} [wrap = null]
+     * @param {Object} [options = {}]
+     * @returns {Promise.<CacheFlow>}
+     */
+    async createTaskFlow(name, wrap = null, options = {}) {
+        if (!this.config) throw new Error('No config loaded, use Cache.fromConfig()');
+        const flow = new CacheFlow({...options, cache: this});
+        await flow.add(this.config.getSteps(name, wrap));
+        return flow;
+    }
 }
 
+Cache.TIER_LOCAL  = TIER_LOCAL;
+Cache.TIER_SHARED = TIER_SHARED;
+
 module.exports = Cache;
\ No newline at end of file
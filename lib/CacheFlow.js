@@ -1,59 +1,93 @@
 'use strict';
 
 const assert = require('assert');
+const arrify = require('arrify');
+const _      = require('lodash');
 
 const Step = require('./Step');
 
 const isDependency = require('./util/isDependency');
 
 /**
- * Represents a series of Operations that can be optimized to skip
+ * Create a function that invokes the (async) functions it's given in order,
+ * while never running more than the given number of them at the same time
+ * @param {Number} concurrency
+ * @returns {Function} Returns a promise for the value of the given function
+ */
+const createLimiter = concurrency => {
+    const queue = [];
+    let active  = 0;
+
+    const next = () => {
+        if (active >= concurrency || !queue.length) return;
+        const {fn, resolve, reject} = queue.shift();
+        active++;
+        Promise.resolve().then(fn).then(resolve, reject).then(() => {
+            active--;
+            next();
+        });
+    };
+
+    return fn => new Promise((resolve, reject) => {
+        queue.push({fn, resolve, reject});
+        next();
+    });
+};
+
+/**
+ * Represents a graph of Operations that can be optimized to skip
  * unneeded intermediate steps
+ *
+ * A step depends on the steps it explicitly names in "dependsOn", as well as on the preceding
+ * steps whose output is (partially) its input. Steps that don't depend on each other are ran
+ * concurrently, up to the given concurrency
  */
 class CacheFlow {
 
-    constructor({cache, steps = []}) {
+    /**
+     * @param {Cache} cache
+     * @param {Step[]} [steps = []]
+     * @param {Number} [concurrency = 1] The maximum number of steps that are ran at the same time
+     * @param {Boolean} [failFast = true] Whether to stop starting new steps once a step fails,
+     *   rather than only leaving out the steps that depend on the failed one
+     */
+    constructor({cache, steps = [], concurrency = 1, failFast = true}) {
         assert(cache);
-        this.cache = cache;
-        this.steps = steps;
+        if (!(concurrency >= 1)) throw new Error(`The concurrency should be at least 1, got ${concurrency}`);
+        this.cache       = cache;
+        this.steps       = steps;
+        this.concurrency = concurrency;
+        this.failFast    = failFast;
     }
 
     /**
-     * For the given "final" (destination) step,
-     * determine its intermediate dependencies and
-     * appropriately set each of their statuses
+     * For the given "final" (destination) step, determine its intermediate dependencies
+     * and appropriately set each of their statuses, resolving the intermediate steps they
+     * depend on in turn (e.g. compile > bundle > minify only runs "compile" if "bundle" runs)
      * @param finalStep
      * @returns {Promise.<void>}
      */
     async evaluateIntermediateDependencies(finalStep) {
 
-        const dependencies = this.steps.filter(step => {
-
-            // Do not consider this step if it's not intermediate
-            // (as it will be ran anyways)
-            if (!step.isIntermediate) return false;
-
-            // If the step is beyond the "destination" step (has a higher index),
-            // don't process it either
-            if (finalStep.index !== null && step.index > finalStep.index) return false;
-
-            // If the "destination" step depends on this one, proceed with processing it
-            return isDependency(finalStep.operation.inputFiles, step.operation.output);
-        });
+        // Do not consider the dependencies that are not intermediate (as they will be ran anyways)
+        const dependencies = this.getDependencies(finalStep).filter(step => step.isIntermediate);
 
         for (let step of dependencies) {
 
             // The dependency has been set to "RUN" or "RESTORE" somewhere else, leave it like that.
             if (step.status === Step.STATUS_RUN || step.status === Step.STATUS_RESTORE) continue;
 
-            // The "final step" will be restored and thus this step can be safely skipped.
-            if (finalStep.status === Step.STATUS_RESTORE) {
-                step.status = Step.STATUS_SKIP;
-                step.forward.push(finalStep);
+            // The "final step" will be restored (or skipped in favor of the steps that will be restored),
+            // and thus this step can be safely skipped.
+            if (finalStep.status === Step.STATUS_RESTORE || finalStep.status === Step.STATUS_SKIP) {
+                step.status  = Step.STATUS_SKIP;
+                step.forward = _.uniq(step.forward.concat(finalStep.status === Step.STATUS_SKIP ? finalStep.forward : finalStep));
             }
 
             // If we need the results of the intermediate step, evaluate the step
             else await this.evaluateStep(step);
+
+            await this.evaluateIntermediateDependencies(step);
         }
     }
 
@@ -64,8 +98,9 @@ class CacheFlow {
      * @returns {Promise.<void>}
      */
     async evaluateStep(step) {
-        const hasResult = step.isCacheable ? await this.cache.hasResult(step.operation) : false;
-        step.status     = hasResult ? Step.STATUS_RESTORE : Step.STATUS_RUN; /* eslint-disable-line require-atomic-updates */
+        const result = step.isCacheable ? await this.cache.getResult(step.operation) : null;
+        step.result  = result; /* eslint-disable-line require-atomic-updates */
+        step.status  = result ? Step.STATUS_RESTORE : Step.STATUS_RUN; /* eslint-disable-line require-atomic-updates */
     }
 
     /**
@@ -73,6 +108,10 @@ class CacheFlow {
      * Wherever possible, steps will be set to "SKIP"
      */
     async evaluate() {
+
+        // Fail early on unknown or circular dependencies
+        this.getGraph();
+
         for (const step of this.steps) {
             if (step.isIntermediate || step.evaluated) continue;
 
@@ -97,13 +136,147 @@ class CacheFlow {
     }
 
     /**
-     * Run all pending steps
-     * @returns {Promise.<void>}
+     * Get the preceding (cacheable) steps whose output is (partially) the input of the given step
+     * @param {Step} step
+     * @returns {Step[]}
+     */
+    getUpstream(step) {
+        if (!step.isCacheable) return [];
+        const {operation} = step;
+        return this.steps.filter(other => other.index < step.index && other.isCacheable &&
+            isDependency(operation.inputFiles, other.operation.output, operation.workingDirectory, other.operation.workingDirectory));
+    }
+
+    /**
+     * Get the steps the given step depends on: the ones it names in "dependsOn",
+     * and the upstream steps (see getUpstream)
+     * @param {Step} step
+     * @returns {Step[]}
+     */
+    getDependencies(step) {
+        const explicit = arrify(step.dependsOn).map(name => {
+            const dependency = _.find(this.steps, {name});
+            if (!dependency) throw new Error(`Unknown step "${name}" (a dependency of "${step.name}")`);
+            return dependency;
+        });
+
+        return _.uniq(explicit.concat(this.getUpstream(step)));
+    }
+
+    /**
+     * Get the dependency graph of the steps
+     * @returns {Map.<Step, Step[]>} Maps every step to the steps it depends on
+     */
+    getGraph() {
+        const graph   = new Map(this.steps.map(step => [step, this.getDependencies(step)]));
+        const checked = new Set();
+
+        const check = (step, trail = []) => {
+            if (trail.includes(step))
+                throw new Error(`Circular step dependency: ${trail.concat(step).map(({name}) => name).join(' > ')}`);
+            if (checked.has(step)) return;
+            graph.get(step).forEach(dependency => check(dependency, trail.concat(step)));
+            checked.add(step);
+        };
+
+        this.steps.forEach(step => check(step));
+        return graph;
+    }
+
+    /**
+     * Run all pending steps, every step as soon as the steps it depends on have completed
+     * If a step fails, no new steps are started if "failFast" is set, otherwise only the steps
+     * that (transitively) depend on the failed step are left out. In either case, the steps
+     * that are already running are awaited before the returned promise is rejected
+     * @returns {Promise.<Array>} The outcome of every step
      */
     async run() {
         await this.sanityCheck();
-        for (const step of this.steps)
-            await this.runStep(step);
+
+        const graph  = this.getGraph();
+        const limit  = createLimiter(this.concurrency);
+        const runs   = new Map();
+        const failed = [];
+
+        // Get a promise for whether the given step (and the steps it depends on) completed successfully
+        const schedule = step => {
+            if (!runs.has(step)) runs.set(step, (async () => {
+                const dependencies = await Promise.all(graph.get(step).map(schedule));
+                if (!_.every(dependencies)) return false;
+
+                return limit(async () => {
+                    if (this.failFast && failed.length) return false;
+                    try {
+                        step.outcome = await this.runStep(step);
+                        return true;
+                    } catch (error) {
+                        step.error = error;
+                        failed.push(step);
+                        return false;
+                    }
+                });
+            })());
+            return runs.get(step);
+        };
+
+        await Promise.all(this.steps.map(schedule));
+
+        if (failed.length === 1 || (failed.length && this.failFast)) throw failed[0].error;
+
+        if (failed.length) {
+            const error  = new Error(`${failed.length} steps failed: ${failed.map(({name, error}) => `"${name}" (${error.message})`).join(', ')}`);
+            error.errors = _.map(failed, 'error');
+            throw error;
+        }
+
+        return this.steps.map(step => step.outcome);
+    }
+
+    /**
+     * Explain why the given (evaluated) step will be ran, restored or skipped
+     * @param {Step} step
+     * @returns {Promise.<String>}
+     */
+    async explain(step) {
+        const short = hash => hash.substring(0, 8);
+
+        if (step.status === Step.STATUS_SKIP) {
+            const names = step.forward.map(({name}) => `"${name}"`);
+            return names.length ?
+                `skipped because ${names.join(', ')} will be restored` :
+                'skipped because no step depends on its output';
+        }
+
+        if (step.status === Step.STATUS_RESTORE)
+            return `cached result ${short(step.result.id || step.result.inputHash)} found in the ${step.result.tier} tier`;
+
+        if (!step.isCacheable) return 'not cacheable';
+
+        const {inputHash} = step.operation.hashes;
+        const previous    = _.maxBy(await this.cache.query({action: step.operation.action}), 'created');
+
+        return previous && previous.inputHash !== inputHash ?
+            `input hash changed from ${short(previous.inputHash)} to ${short(inputHash)}` :
+            `no cached result for input hash ${short(inputHash)}`;
+    }
+
+    /**
+     * Get a (serializable) preview of what running the flow would do, without running anything
+     * @returns {Promise.<Object[]>} For every step: {name, action, status, reason, dependsOn, inputHash, result}
+     */
+    async plan() {
+        await this.sanityCheck();
+        const graph = this.getGraph();
+
+        return Promise.all(this.steps.map(async step => ({
+            name:      step.name,
+            action:    step.isCacheable ? step.operation.action : null,
+            status:    step.statusName,
+            reason:    await this.explain(step),
+            dependsOn: _.map(graph.get(step), 'name'),
+            inputHash: step.isCacheable && step.operation.hashes ? step.operation.hashes.inputHash : null,
+            result:    step.result && _.pick(step.result, ['id', 'tier', 'created']),
+        })));
     }
 
     /**
@@ -122,7 +295,7 @@ class CacheFlow {
     runStep(step) {
         const actual = (...args) => {
             if (step.status === Step.STATUS_RESTORE)
-                return this.cache.restore(step.operation);
+                return this.cache.restore(step.operation, ...args);
 
             else if (step.status === Step.STATUS_RUN)
                 return step.isCacheable ?
@@ -130,7 +303,7 @@ class CacheFlow {
                     step.run(...args);
 
             else if (step.status === Step.STATUS_SKIP) {
-                this.cache.emitForward();
+                this.cache.emitForward(step.operation);
                 return null;
             }
         };
@@ -140,17 +313,23 @@ class CacheFlow {
 
     /**
      * Convert step "spec" into a Step instance
+     * @param {String|null} [name = null] Defaults to the action of the operation
+     * @param {String|String[]} [dependsOn = []] The names of the steps this step depends on
      * @param {Boolean} [isIntermediate = false]
      * @param {Function|null} [wrap = null]
      * @param {Intent} intent
      * @returns {Step}
      */
     convertStep({
+        name = null,
+        dependsOn = [],
         isIntermediate = false,
         wrap = null,
         intent,
     }) {
         return new Step({
+            name,
+            dependsOn,
             isIntermediate,
             wrap,
             index:     this.steps.length,
@@ -162,6 +341,8 @@ class CacheFlow {
     /**
      * Append "steps" defined as objects: {
      *  intent: Intent,
+     *  name: String?,  (defaults to the action of the operation)
+     *  dependsOn: String|String[]?,  (the names of the steps that need to complete first)
      *  isIntermediate: Boolean,
      *  wrap: Function?  (if provided, will be invoked with the callback that will serve to either
      *                      restore the operation from cache or run it. Useful for lifecycle monitoring)
@@ -169,8 +350,14 @@ class CacheFlow {
      * @param {object[]} specs
      */
     async add(specs) {
-        for (const spec of specs)
-            this.steps.push(this.convertStep(spec));
+        for (const spec of specs) {
+            const step = this.convertStep(spec);
+            this.steps.push(step);
+
+            // The input hash of the step is derived from the keys of its upstream steps rather than
+            // from the files they produce, so it is known before those steps are ran (or even if they're skipped)
+            if (step.isCacheable) step.operation.upstream = _.map(this.getUpstream(step), 'operation');
+        }
         await this.evaluate();
     }
 }
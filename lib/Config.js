@@ -0,0 +1,178 @@
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const arrify = require('arrify');
+const _      = require('lodash');
+
+const Intent = require('./Intent');
+
+const exec          = require('./common/exec');
+const parseDuration = require('./util/parseDuration');
+
+/**
+ * The filenames that are looked for (in order of precedence) when no config file is specified
+ */
+const FILENAMES = ['johnnycache.config.js', '.johnnycacherc.json'];
+
+/**
+ * The config properties that are passed down to the Cache constructor
+ */
+const CACHE_OPTIONS = ['workspace', 'maxSize', 'evictionPolicy', 'quotas', 'compress', 'layout', 'shared'];
+
+/**
+ * Represents a config file declaring the cache options and a set of named tasks: {
+ *  workspace, maxSize, evictionPolicy, quotas, compress, layout, shared,
+ *  tasks: {
+ *      [name]: {command, input, env, output, ttl, compress, layout, key, restoreKeys, restoreMode, mtime, hardlink, pin, quota, tags, metadata, action, dependsOn, intermediate}
+ *  }
+ * }
+ */
+class Config {
+
+    /**
+     * @param {String} directory The directory relative to which the paths in the config are resolved
+     * @param {String|null} [filename = null]
+     * @param {Object} [tasks = {}]
+     * @param {Object} options The cache options
+     */
+    constructor({directory, filename = null, tasks = {}, ...options}) {
+        this.directory = directory;
+        this.filename  = filename;
+        this.tasks     = tasks;
+        this.options   = options;
+    }
+
+    /**
+     * Get the options to pass to the Cache constructor
+     * @returns {Object}
+     */
+    get cacheOptions() {
+        const options = _.pick(this.options, CACHE_OPTIONS);
+        if (options.workspace) options.workspace = path.resolve(this.directory, options.workspace);
+        return {...options, workingDirectory: this.directory};
+    }
+
+    /**
+     * Get the task with the given name
+     * @param {String} name
+     * @returns {Object}
+     */
+    getTask(name) {
+        const task = this.tasks[name];
+        if (!task) throw new Error(`Unknown task "${name}"`);
+        if (!task.command) throw new Error(`Task "${name}" has no command`);
+        return task;
+    }
+
+    /**
+     * Get the names of the given task and all the tasks it (transitively) depends on,
+     * ordered so that every task comes after its dependencies
+     * @param {String} name
+     * @param {String[]} [trail = []] The tasks currently being resolved, used to detect circular dependencies
+     * @param {String[]} [resolved = []]
+     * @returns {String[]}
+     */
+    resolveTasks(name, trail = [], resolved = []) {
+        if (trail.includes(name))
+            throw new Error(`Circular task dependency: ${trail.concat(name).join(' > ')}`);
+        if (resolved.includes(name)) return resolved;
+        for (const dependency of arrify(this.getTask(name).dependsOn))
+            this.resolveTasks(dependency, trail.concat(name), resolved);
+        resolved.push(name);
+        return resolved;
+    }
+
+    /**
+     * Create a function that runs the command of the given task
+     * The command is either a shell command, an array (a file and its arguments) or a function
+     * @param {String|String[]|Function} command
+     * @returns {Function}
+     */
+    createRun(command) {
+        if (typeof command === 'function') return command;
+        const options = {cwd: this.directory};
+        if (Array.isArray(command)) return () => exec(command[0], command.slice(1), options);
+        return () => exec(command, null, options);
+    }
+
+    /**
+     * Create the Intent for the task with the given name
+     * Tasks without output are considered non-cacheable and will always be ran
+     * @param {String} name
+     * @returns {Intent}
+     */
+    createIntent(name) {
+        const task = this.getTask(name);
+        const run  = this.createRun(task.command);
+
+        if (!task.output) return new Intent(run, null);
+
+        return new Intent(run, _.omitBy({
+            action:      task.action || name,
+            input:       arrify(task.input).concat(arrify(task.env).map(env => `$${env}`)),
+            output:      arrify(task.output),
+            ttl:         task.ttl === undefined ? undefined : parseDuration(task.ttl),
+            compress:    task.compress,
+            layout:      task.layout,
+            key:         task.key,
+            restoreKeys: task.restoreKeys,
+            restoreMode: task.restoreMode,
+            mtime:       task.mtime,
+            hardlink:    task.hardlink,
+            pin:         task.pin,
+            quota:       task.quota,
+            tags:        task.tags,
+            metadata:    task.metadata,
+        }, _.isUndefined));
+    }
+
+    /**
+     * Get the CacheFlow step specs for running the task with the given name
+     * Dependencies that are marked as "intermediate" will be skipped if
+     * the output of the tasks depending on them can be restored
+     * @param {String} name
+     * @param {Function|null} [wrap = null] Invoked as wrap(actual, name) for each step
+     * @returns {Object[]}
+     */
+    getSteps(name, wrap = null) {
+        return this.resolveTasks(name).map(task => ({
+            name:           task,
+            dependsOn:      arrify(this.tasks[task].dependsOn),
+            intent:         this.createIntent(task),
+            isIntermediate: task !== name && !!this.tasks[task].intermediate,
+            wrap:           wrap && (actual => wrap(actual, task)),
+        }));
+    }
+
+    /**
+     * Find the config file in the given directory
+     * @param {String} directory
+     * @returns {String|null}
+     */
+    static find(directory) {
+        const filename = FILENAMES.map(filename => path.join(directory, filename)).find(fs.existsSync);
+        return filename || null;
+    }
+
+    /**
+     * Load the given config file, or the one found in the given directory
+     * @param {String} [cwd = process.cwd()]
+     * @param {String|null} [filename = null]
+     * @returns {Config}
+     */
+    static load({cwd = process.cwd(), filename = null} = {}) {
+        filename = filename ? path.resolve(cwd, filename) : Config.find(cwd);
+        if (!filename) throw new Error(`No config file found in ${cwd} (looked for ${FILENAMES.join(', ')})`);
+
+        const contents = path.extname(filename) === '.js' ?
+            require(filename) :
+            JSON.parse(fs.readFileSync(filename, 'utf8'));
+
+        return new Config({...contents, directory: path.dirname(filename), filename});
+    }
+}
+
+Config.FILENAMES = FILENAMES;
+
+module.exports = Config;
@@ -1,12 +1,13 @@
 'use strict';
 
-const {defaults, includes} = require('lodash');
-const lodashId             = require('lodash-id');
-const mkdirp               = require('make-dir');
-const path                 = require('path');
-const low                  = require('lowdb');
+const {assign, defaults, includes} = require('lodash');
+const lodashId                     = require('lodash-id');
+const mkdirp                       = require('make-dir');
+const path                         = require('path');
+const low                          = require('lowdb');
 
-const FileSync = require('lowdb/adapters/FileSync');
+const Lock           = require('./Lock');
+const AtomicFileSync = require('./common/AtomicFileSync');
 
 const hasExpired = require('./util/hasExpired');
 
@@ -19,15 +20,18 @@ const hasExpired = require('./util/hasExpired');
  */
 const prepareDb = ({filename}) => {
 
-    const adapter = new FileSync(filename);
+    const adapter = new AtomicFileSync(filename);
     const db      = low(adapter);
 
     db._.mixin(lodashId);
-    db.defaults({results: []}).write();
 
     return db;
 };
 
+/**
+ * Note that the database may be shared with other processes,
+ * so it is re-read before every query and all writes are performed while holding a lock
+ */
 class Index {
 
     /**
@@ -38,13 +42,16 @@ class Index {
         this.options = defaults(options, {
             filename: path.join(process.cwd(), '.index.json'),
         });
+
+        this.lock = new Lock({filename: `${this.options.filename}.lock`});
     }
 
     async sync() {
 
         if (!this.db) {
             await mkdirp(path.dirname(this.options.filename));
-            this.db = await prepareDb(this.options);
+            this.db = prepareDb(this.options);
+            await this.write(() => this.db.defaults({results: []}));
         }
     }
 
@@ -55,19 +62,42 @@ class Index {
         return this.db.get('results');
     }
 
+    /**
+     * Re-read the database and return the results accessor
+     */
+    read() {
+        this.db.read();
+        return this.results;
+    }
+
+    /**
+     * Perform the given modification on the (freshly read) database while holding the lock,
+     * then write the database
+     * @param {Function} modify Invoked with the results accessor
+     * @returns {Promise.<*>} The value returned by the modification
+     */
+    write(modify) {
+        return this.lock.run(() => {
+            const value = modify(this.read()).value();
+            this.db.write();
+            return value;
+        });
+    }
+
     /**
      * Get all results
      */
     all() {
-        return this.results.value();
+        return this.read().value();
     }
 
     /**
      * Insert new row
      * @param data
+     * @returns {Promise.<Object>}
      */
     insert(data) {
-        return this.results.insert(data).write();
+        return this.write(results => results.insert(data));
     }
 
     /**
@@ -75,25 +105,59 @@ class Index {
      * @param query
      */
     findOne(query) {
-        return this.results.find(query).value();
+        return this.read().find(query).value();
+    }
+
+    /**
+     * Find all results that satisfy the given query (using lodash .filter)
+     * @param query
+     */
+    filter(query) {
+        return this.read().filter(query).value();
+    }
+
+    /**
+     * Record an access (cache hit) on the record with the given id,
+     * updating its last access time and hit count
+     * @param id
+     * @returns {Promise}
+     */
+    touch(id) {
+        return this.write(results => results.find({id}).tap(doc => {
+            if (!doc) return;
+            doc.lastAccess = Date.now();
+            doc.hits       = (doc.hits || 0) + 1;
+        }));
+    }
+
+    /**
+     * Assign the given properties to all records with the given ids
+     * @param ids
+     * @param {Object} props
+     * @returns {Promise}
+     */
+    update(ids, props) {
+        return this.write(results => results.filter(doc => includes(ids, doc.id)).tap(docs => {
+            docs.forEach(doc => assign(doc, props));
+        }));
     }
 
     /**
      * Remove all expired records
+     * @returns {Promise.<Object[]>} The removed records
      */
     removeExpired() {
-        this.results.remove(hasExpired).write();
+        return this.write(results => results.remove(hasExpired));
     }
 
     /**
      * Remove all records with the given ids
      * @param ids
+     * @returns {Promise}
      */
     removeById(ids) {
-        this.results
-            .remove(doc => includes(ids, doc.id))
-            .write();
+        return this.write(results => results.remove(doc => includes(ids, doc.id)));
     }
 }
 
-module.exports = Index;
\ No newline at end of file
+module.exports = Index;
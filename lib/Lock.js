@@ -0,0 +1,121 @@
+'use strict';
+
+const fs           = require('fs');
+const crypto       = require('crypto');
+const pify         = require('pify');
+const promiseRetry = require('promise-retry');
+
+/**
+ * Cross-process lock, backed by a lock directory (as creating a directory is atomic)
+ * A lock that has not been touched for longer than the "stale" period is considered
+ * to be left behind by a crashed process, and will be taken over. While the lock is held,
+ * it's touched every half of the stale period so it's never mistaken for a stale one
+ */
+class Lock {
+
+    /**
+     * @param {String} filename The path of the lock directory
+     * @param {Number} [stale = 10000] The time in milliseconds after which the lock is considered stale
+     * @param {Number} [retries = 200] The number of times to retry acquiring the lock before giving up
+     */
+    constructor({filename, stale = 10000, retries = 200}) {
+        this.filename = filename;
+        this.stale    = stale;
+        this.retries  = retries;
+    }
+
+    /**
+     * Check whether the existing lock is stale
+     * @param {String} [filename = this.filename]
+     * @returns {Promise.<boolean>}
+     */
+    async isStale(filename = this.filename) {
+        try {
+            const {mtime} = await pify(fs.stat)(filename);
+            return Date.now() - mtime.getTime() > this.stale;
+        } catch (e) {
+            // The lock was released in the meantime
+            if (e.code === 'ENOENT') return false;
+            throw e;
+        }
+    }
+
+    /**
+     * Acquire the lock, waiting for other processes to release it
+     * @returns {Promise.<void>}
+     */
+    async acquire() {
+        await promiseRetry(async retry => {
+            try {
+                await pify(fs.mkdir)(this.filename);
+            } catch (e) {
+                if (e.code !== 'EEXIST') throw e;
+                if (await this.isStale()) await this.takeOver();
+                retry(new Error(`Could not acquire lock at ${this.filename}`));
+            }
+        }, {retries: this.retries, minTimeout: 5, maxTimeout: 100});
+
+        this.refresher = setInterval(() => this.touch(), this.stale / 2);
+        this.refresher.unref();
+    }
+
+    /**
+     * Remove the stale lock, so it can be acquired again
+     * The lock is renamed to a unique name first, so that of all the processes that found it to be stale,
+     * only one removes it (rather than removing the fresh lock another one acquired in the meantime)
+     * @returns {Promise.<void>}
+     */
+    async takeOver() {
+        const renamed = `${this.filename}.${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+        try {
+            await pify(fs.rename)(this.filename, renamed);
+        } catch (e) {
+            // Another process took it over first
+            if (e.code === 'ENOENT') return;
+            throw e;
+        }
+
+        // Another process acquired a fresh lock right before it was renamed, put it back
+        if (!await this.isStale(renamed)) await pify(fs.rename)(renamed, this.filename);
+        else await pify(fs.rmdir)(renamed);
+    }
+
+    /**
+     * Refresh the mtime of the held lock
+     */
+    touch() {
+        const now = new Date();
+        fs.utimes(this.filename, now, now, () => {
+            // The lock was released in the meantime
+        });
+    }
+
+    /**
+     * Release the lock
+     * @returns {Promise.<void>}
+     */
+    async release() {
+        clearInterval(this.refresher);
+        try {
+            await pify(fs.rmdir)(this.filename);
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+    }
+
+    /**
+     * Run the given function while holding the lock
+     * @param {Function} fn
+     * @returns {Promise.<*>} The return value of the function
+     */
+    async run(fn) {
+        await this.acquire();
+        try {
+            return await fn();
+        } finally {
+            await this.release();
+        }
+    }
+}
+
+module.exports = Lock;
@@ -4,7 +4,63 @@ const arrify = require('arrify');
 const jummy  = require('jummy');
 const hasha  = require('hasha');
 
-const isEnv = i => i.startsWith('$');
+const compression  = require('./util/compression');
+const hashFiles    = require('./util/hashFiles');
+const parseQuota   = require('./util/parseQuota');
+const isProducedBy = require('./util/isDependency').isProducedBy;
+
+/**
+ * Built-in pseudo-inputs, which take precedence over environment variables with the same name
+ */
+const builtins = {
+    node:     () => process.version,
+    platform: () => process.platform,
+    arch:     () => process.arch,
+};
+
+/**
+ * The ways a result can be restored over the existing files at the output:
+ * "merge" overwrites existing files, "clean" deletes the existing files at the output first and
+ * "fail-on-conflict" refuses to restore if any existing file differs from the cached one
+ */
+const restoreModes = ['merge', 'clean', 'fail-on-conflict'];
+
+/**
+ * The mtimes restored files get: the "original" ones (at the time the result was stored) or "now"
+ */
+const mtimes = ['original', 'now'];
+
+const isFunction = i => typeof i === 'function';
+const isEnv      = i => !isFunction(i) && i.startsWith('$');
+const isBuiltin  = i => isEnv(i) && Object.prototype.hasOwnProperty.call(builtins, i.substring(1));
+
+/**
+ * Describe the given input for use in the (default) action name
+ * @param {String|Function} i
+ * @returns {String}
+ */
+const describeInput = i => isFunction(i) ? `[${i.name || 'function'}]` : i;
+
+/**
+ * Resolve the given value, invoking it first if it's a function
+ * @param {*} value
+ * @returns {Promise.<*>}
+ */
+const resolveValue = async value => isFunction(value) ? value() : value;
+
+/**
+ * Resolve all values of the given object (see resolveValue)
+ * @param {Object} obj
+ * @returns {Promise.<Object>}
+ */
+const resolveValues = async obj => {
+    const names  = Object.keys(obj);
+    const values = await Promise.all(names.map(name => resolveValue(obj[name])));
+    return names.reduce((resolved, name, i) => {
+        resolved[name] = values[i];
+        return resolved;
+    }, {});
+};
 
 class Operation {
 
@@ -19,32 +75,84 @@ class Operation {
         input = [],
         output = [],
         ttl = null,
-        compress = false
+        compress = false,
+        layout = 'archive',
+        key = {},
+        restoreKeys = null,
+        audit = 0,
+        restoreMode = 'merge',
+        mtime = 'original',
+        hardlink = false,
+        pin = false,
+        quota = null,
+        tags = [],
+        metadata = {},
 
     } = {}) {
 
+        if (!restoreModes.includes(restoreMode))
+            throw new Error(`Unknown restore mode "${restoreMode}", expected one of ${restoreModes.join(', ')}`);
+        if (!mtimes.includes(mtime))
+            throw new Error(`Unknown mtime "${mtime}", expected one of ${mtimes.join(', ')}`);
+
         this._run = run;
 
         this.workingDirectory = workingDirectory;
-        this.action           = action || `${input ? input.join(',') : '(no input)'} > ${output.join(',')}`;
+        this.action           = action || `${input ? arrify(input).map(describeInput).join(',') : '(no input)'} > ${output.join(',')}`;
         this.input            = arrify(input);
         this.output           = arrify(output);
         this.ttl              = ttl;
-        this.compress         = compress;
+        this.compress         = compression.normalize(compress);
+        this.layout           = layout;
+        this.key              = key;
+        this.restoreKeys      = restoreKeys ? arrify(restoreKeys) : [];
+        this.audit            = audit === true ? 1 : Number(audit) || 0;
+        this.restoreMode      = restoreMode;
+        this.mtime            = mtime;
+        this.hardlink         = !!hardlink;
+        this.pinned           = !!pin;
+        this.quota            = quota && parseQuota(quota);
+        this.tags             = arrify(tags);
+        this.metadata         = metadata;
+
+        // The operations that produce (some of) the input files, see CacheFlow
+        this.upstream = [];
     }
 
     /**
      * Get non-ENV inputs
      */
     get inputFiles() {
-        return this.input.filter(i => !isEnv(i));
+        return this.input.filter(i => !isFunction(i) && !isEnv(i));
+    }
+
+    /**
+     * Get the input files that are not produced by an upstream operation
+     */
+    get ownInputFiles() {
+        return this.inputFiles.filter(file => !this.upstream.some(operation =>
+            isProducedBy([file], operation.output, this.workingDirectory, operation.workingDirectory)));
     }
 
     /**
      * Get ENV inputs
      */
     get inputEnvs() {
-        return this.input.filter(isEnv).map(i => i.substring(1));
+        return this.input.filter(i => isEnv(i) && !isBuiltin(i)).map(i => i.substring(1));
+    }
+
+    /**
+     * Get built-in pseudo-inputs ($node, $platform, $arch)
+     */
+    get inputBuiltins() {
+        return this.input.filter(isBuiltin).map(i => i.substring(1));
+    }
+
+    /**
+     * Get function inputs
+     */
+    get inputFunctions() {
+        return this.input.filter(isFunction);
     }
 
     /**
@@ -59,10 +167,23 @@ class Operation {
 
     /**
      * Retrieve the combined hash of the input files
+     * The files produced by upstream operations are left out, as they may not exist (yet)
      * @returns {Promise.<string>}
      */
     async getFileHash() {
-        return await jummy(this.inputFiles, {wd: this.workingDirectory});
+        return await jummy(this.ownInputFiles, {wd: this.workingDirectory});
+    }
+
+    /**
+     * Retrieve the keys of the upstream operations (their action, input and output hash),
+     * which stand in for the files they produce
+     * @returns {Promise.<Object[]>}
+     */
+    getUpstreamHashes() {
+        return Promise.all(this.upstream.map(async operation => ({
+            action: operation.action,
+            ...await operation.getHashes(),
+        })));
     }
 
     /**
@@ -78,13 +199,71 @@ class Operation {
     }
 
     /**
-     * Get combined input hash (both files as well as env)
+     * Retrieve the values of all the built-in pseudo-inputs
+     * @returns {Object}
+     */
+    getBuiltins() {
+        return this.inputBuiltins.reduce((obj, name) => {
+            obj[name] = builtins[name]();
+            return obj;
+        }, {});
+    }
+
+    /**
+     * Retrieve the (resolved) values of all the function inputs
+     * @returns {Promise.<Array>}
+     */
+    getFunctionValues() {
+        return Promise.all(this.inputFunctions.map(resolveValue));
+    }
+
+    /**
+     * Retrieve the (resolved) values of the "key" option
+     * @returns {Promise.<Object>}
+     */
+    getKeyValues() {
+        return resolveValues(this.key);
+    }
+
+    /**
+     * Retrieve the (resolved) values of the "metadata" option
+     * @returns {Promise.<Object>}
+     */
+    getMetadata() {
+        return resolveValues(this.metadata);
+    }
+
+    /**
+     * Get all the parts the input hash is computed from
+     * Parts that are not used by the operation are omitted, so the input hash
+     * of operations that only use files and env inputs is unaffected by their existence
+     * @returns {Promise.<Object>}
+     */
+    async getKeyParts() {
+        const [fileHash, functions, key, upstream] = await Promise.all([
+            this.getFileHash(),
+            this.getFunctionValues(),
+            this.getKeyValues(),
+            this.getUpstreamHashes(),
+        ]);
+
+        const parts = {fileHash, envs: this.getEnvs()};
+
+        if (this.inputBuiltins.length) parts.builtins = this.getBuiltins();
+        if (functions.length) parts.functions = functions;
+        if (Object.keys(key).length) parts.key = key;
+        if (upstream.length) parts.upstream = upstream;
+
+        return parts;
+    }
+
+    /**
+     * Get combined input hash (files, env, built-in and function inputs, the "key" option and the keys of the upstream operations)
      * @returns {String}
      */
     async getInputHash() {
-        const fileHash = await this.getFileHash();
-        const envs     = this.getEnvs();
-        return hasha(JSON.stringify({fileHash, envs,}));
+        this.keyParts = await this.getKeyParts();
+        return hasha(JSON.stringify(this.keyParts));
     }
 
     /**
@@ -97,7 +276,7 @@ class Operation {
     }
 
     /**
-     * Retrieve the hash of the output argument
+     * Retrieve the hash of the output argument (the patterns, not the produced files)
      * @returns {Promise.<string>}
      */
     getOutputHash() {
@@ -119,6 +298,31 @@ class Operation {
         }
         return this.hashes;
     }
+
+    /**
+     * Retrieve the content hashes of the files that are currently present at the output
+     * @returns {Promise.<Object>} A {path: hash} map
+     */
+    hashOutput() {
+        return hashFiles(this.output, this.workingDirectory);
+    }
+
+    /**
+     * Whether a cache hit should be audited, according to the "audit" rate
+     * @returns {Boolean}
+     */
+    shouldAudit() {
+        return Math.random() < this.audit;
+    }
+
+    /**
+     * Get the combined hash of the given {path: hash} map
+     * @param {Object} files
+     * @returns {String}
+     */
+    static getContentHash(files) {
+        return hasha(JSON.stringify(files));
+    }
 }
 
 module.exports = Operation;
\ No newline at end of file
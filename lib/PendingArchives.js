@@ -0,0 +1,176 @@
+'use strict';
+
+const fs     = require('fs');
+const os     = require('os');
+const crypto = require('crypto');
+const path   = require('path');
+const pify   = require('pify');
+const mkdirp = require('make-dir');
+
+// Markers created by processes on other hosts (sharing the workspace over the network)
+// cannot be checked for liveness, so they are considered stale after a day
+const FOREIGN_STALE = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether the process with the given pid is still running
+ * @param {Number} pid
+ * @returns {boolean}
+ */
+const isAlive = pid => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+};
+
+/**
+ * Keeps track of archives that are being written (but have not been added to the index yet)
+ * by means of marker files, so that other processes sharing the workspace leave them alone
+ */
+class PendingArchives {
+
+    /**
+     * @param {String} directory The directory to keep the markers in
+     */
+    constructor({directory}) {
+        this.directory = directory;
+    }
+
+    getMarkerPath(filename) {
+        return path.join(this.directory, filename);
+    }
+
+    /**
+     * Read the marker for the given filename
+     * @param {String} filename
+     * @returns {Promise.<Object|null>}
+     */
+    async read(filename) {
+        try {
+            const markerPath = this.getMarkerPath(filename);
+            const [contents, {mtime}] = await Promise.all([
+                pify(fs.readFile)(markerPath, 'utf8'),
+                pify(fs.stat)(markerPath),
+            ]);
+            return {...JSON.parse(contents), mtime: mtime.getTime()};
+        } catch (e) {
+            // A marker that is being written (or was just removed) is treated as "no marker"
+            if (e.code === 'ENOENT' || e instanceof SyntaxError) return null;
+            throw e;
+        }
+    }
+
+    /**
+     * Check whether the given marker was left behind by a process that is no longer running
+     * @param {Object} marker
+     * @returns {boolean}
+     */
+    static isStale({pid, hostname, mtime}) {
+        return hostname === os.hostname() ? !isAlive(pid) : Date.now() - mtime > FOREIGN_STALE;
+    }
+
+    /**
+     * Claim the given filename for an archive that is about to be written
+     * @param {String} filename
+     * @returns {Promise.<boolean>} False if the filename was already claimed by another (running) process
+     */
+    async claim(filename) {
+        await mkdirp(this.directory);
+        const contents = JSON.stringify({pid: process.pid, hostname: os.hostname()});
+        try {
+            await pify(fs.writeFile)(this.getMarkerPath(filename), contents, {flag: 'wx'});
+            return true;
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+            const marker = await this.read(filename);
+            if (!marker || !PendingArchives.isStale(marker)) return false;
+            await this.reclaim(filename);
+            return this.claim(filename);
+        }
+    }
+
+    /**
+     * Remove the stale marker for the given filename
+     * The marker is renamed to a unique (hidden) name first, so that of all the processes that found it to be stale,
+     * only one removes it (rather than removing the fresh marker another one created in the meantime)
+     * @param {String} filename
+     * @returns {Promise.<void>}
+     */
+    async reclaim(filename) {
+        const renamed = `.${filename}.${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+        try {
+            await pify(fs.rename)(this.getMarkerPath(filename), this.getMarkerPath(renamed));
+        } catch (e) {
+            // Another process reclaimed it first
+            if (e.code === 'ENOENT') return;
+            throw e;
+        }
+
+        // Another process claimed the filename right before the marker was renamed, put it back
+        // (by linking rather than renaming it, so a marker created in the meantime is not replaced)
+        const marker = await this.read(renamed);
+        if (!marker || !PendingArchives.isStale(marker)) {
+            try {
+                await pify(fs.link)(this.getMarkerPath(renamed), this.getMarkerPath(filename));
+            } catch (e) {
+                if (e.code !== 'EEXIST') throw e;
+            }
+        }
+        await pify(fs.unlink)(this.getMarkerPath(renamed));
+    }
+
+    /**
+     * Record the other files (e.g. content-addressed blobs) that the pending archive
+     * with the given filename will reference, so that these are left alone as well
+     * @param {String} filename
+     * @param {String[]} references
+     * @returns {Promise.<void>}
+     */
+    async reference(filename, references) {
+        const markerPath = this.getMarkerPath(filename);
+        const temporary  = path.join(this.directory, `.${filename}.tmp`);
+        const contents   = JSON.stringify({pid: process.pid, hostname: os.hostname(), references});
+        await pify(fs.writeFile)(temporary, contents);
+        await pify(fs.rename)(temporary, markerPath);
+    }
+
+    /**
+     * Release the claim on the given filename
+     * @param {String} filename
+     * @returns {Promise.<void>}
+     */
+    async release(filename) {
+        try {
+            await pify(fs.unlink)(this.getMarkerPath(filename));
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+    }
+
+    /**
+     * Get the filenames (and referenced files) of all archives that are currently being written
+     * Stale markers are removed along the way
+     * @returns {Promise.<{filename: String, references: String[]}[]>}
+     */
+    async list() {
+        let filenames;
+        try {
+            filenames = (await pify(fs.readdir)(this.directory)).filter(filename => !filename.startsWith('.'));
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+        const markers = await Promise.all(filenames.map(filename => this.read(filename)));
+        const pending = [];
+        await Promise.all(filenames.map(async (filename, i) => {
+            const marker = markers[i];
+            if (marker && PendingArchives.isStale(marker)) await this.reclaim(filename);
+            else pending.push({filename, references: (marker && marker.references) || []});
+        }));
+        return pending;
+    }
+}
+
+module.exports = PendingArchives;
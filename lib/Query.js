@@ -1,6 +1,7 @@
 'use strict';
 
-const {isMatch} = require('lodash');
+const arrify                                                 = require('arrify');
+const {difference, isMatch, isUndefined, omitBy, startsWith} = require('lodash');
 
 const hasExpired = require('./util/hasExpired');
 
@@ -9,12 +10,36 @@ const hasExpired = require('./util/hasExpired');
  */
 class Query {
 
-    constructor(constraints) {
+    /**
+     * @param {Object} constraints
+     * @param {Function} [test] Additional test the document needs to pass
+     */
+    constructor(constraints, test = () => true) {
         this.constraints = constraints;
+        this.test        = test;
     }
 
     get predicate() {
-        return doc => isMatch(doc, this.constraints) && !hasExpired(doc);
+        return doc => isMatch(doc, this.constraints) && this.test(doc) && !hasExpired(doc);
+    }
+
+    /**
+     * Create a new Query instance based on the given filter
+     * @param {String} [action] The action of the results
+     * @param {String|String[]} [tags] Tags the results should all have
+     * @param {Object} [metadata] Metadata the results should (partially) match
+     * @param {Boolean} [pinned] Whether the results should be pinned or not
+     * @param {Number|Date} [createdAfter]
+     * @param {Number|Date} [createdBefore]
+     * @returns {Query}
+     */
+    static fromFilter({action, tags = [], metadata, pinned, createdAfter = -Infinity, createdBefore = Infinity} = {}) {
+        return new Query(omitBy({action, metadata}, isUndefined), doc =>
+            !difference(arrify(tags), doc.tags || []).length &&
+            (pinned === undefined || !!doc.pinned === pinned) &&
+            doc.created > createdAfter &&
+            doc.created < createdBefore
+        );
     }
 
     /**
@@ -26,6 +51,19 @@ class Query {
         const {inputHash, outputHash} = await operation.getHashes();
         return new Query({inputHash, outputHash, action: operation.action});
     }
+
+    /**
+     * Create the queries for finding a fallback result for the given operation (in order of preference),
+     * based on its "restoreKeys": either "true" (any result of the same action) or action prefixes
+     * @param {Operation} operation
+     * @returns {Promise.<Query[]>}
+     */
+    static async fallbacksFromOperation(operation) {
+        const {outputHash} = await operation.getHashes();
+        return operation.restoreKeys.map(key => key === true ?
+            new Query({outputHash, action: operation.action}) :
+            new Query({outputHash}, doc => startsWith(doc.action, key)));
+    }
 }
 
 module.exports = Query;
\ No newline at end of file
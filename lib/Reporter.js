@@ -0,0 +1,95 @@
+'use strict';
+
+const _ = require('lodash');
+
+const format = require('./util/format');
+
+/**
+ * Describe the progress of a phase, e.g. "12.0 MB / 40.0 MB (30%)"
+ * @param {Number} bytes
+ * @param {Number|null} total
+ * @returns {String}
+ */
+const describeProgress = (bytes, total) => total ?
+    `${format.bytes(bytes)} / ${format.bytes(total)} (${format.percentage(Math.min(bytes / total, 1))})` :
+    format.bytes(bytes);
+
+/**
+ * The lifecycle events that are rendered, each mapped to a function that renders its payload
+ */
+const renderers = {
+    'hash:end':         ({duration}) => `hashed the input in ${format.duration(duration)}`,
+    'lookup':           ({result, tier, duration}) => result ? `found a result in the ${tier} tier in ${format.duration(duration)}` : `no result found in ${format.duration(duration)}`,
+    'download':         () => 'downloading the result from the shared tier',
+    'shared:error':     ({phase, error}) => `the shared tier failed during the ${phase}, ${phase === 'upload' ? 'skipped the upload' : 'running the operation instead'}: ${error.message}`,
+    'fallback':         ({result}) => `restoring the fallback result of "${result.action}"`,
+    'run':              () => 'running the operation',
+    'audit':            () => 'running the operation to audit the cached result',
+    'archive:progress': ({bytes, total}) => `archiving: ${describeProgress(bytes, total)}`,
+    'archive:end':      ({bytes, duration}) => `archived ${format.bytes(bytes)} in ${format.duration(duration)}`,
+    'saved':            ({result}) => `saved the result (the operation ran in ${format.duration(result.runtime)})`,
+    'extract:progress': ({bytes, total}) => `extracting: ${describeProgress(bytes, total)}`,
+    'extract:end':      ({bytes, duration}) => `extracted ${format.bytes(bytes)} in ${format.duration(duration)}`,
+    'forward':          () => 'skipped, as the steps that depend on it can be restored',
+    'evict':            ({reason}) => `evicted a result (${reason})`,
+    'corrupted':        ({files, error}) => `the cached result is corrupted (${error ? error.message : files.join(', ')}), running the operation instead`,
+    'nondeterministic': ({diff}) => `the output differs from the cached result: ${_.map(diff, (files, kind) => `${files.length} ${kind}`).join(', ')}`,
+    'rollback':         ({error}) => `restoring failed, rolled back: ${error.message}`,
+};
+
+/**
+ * Renders the lifecycle events of a cache as lines of text (e.g. to the terminal), prefixed with their action
+ * Progress events are throttled, so that long archive or extract phases don't flood the output
+ */
+class Reporter {
+
+    /**
+     * @param {Function} [write] Invoked with every line, defaults to writing to stderr
+     * @param {Number} [interval = 1000] The minimum time (in milliseconds) between two progress lines of the same phase
+     */
+    constructor({write = line => process.stderr.write(`${line}\n`), interval = 1000} = {}) {
+        this.write     = write;
+        this.interval  = interval;
+        this.listeners = [];
+        this.throttled = {};
+    }
+
+    /**
+     * Render the given event
+     * @param {String} event
+     * @param {Object} payload
+     */
+    render(event, payload) {
+        if (event.endsWith(':progress')) {
+            const key = `${event}:${payload.action}`;
+            if (Date.now() - (this.throttled[key] || 0) < this.interval) return;
+            this.throttled[key] = Date.now();
+        }
+        const line = renderers[event](payload);
+        this.write(payload.action ? `[${payload.action}] ${line}` : line);
+    }
+
+    /**
+     * Start rendering the events of the given cache
+     * @param {Cache} cache
+     * @returns {Reporter}
+     */
+    attach(cache) {
+        _.forEach(_.keys(renderers), event => {
+            const listener = payload => this.render(event, payload);
+            cache.on(event, listener);
+            this.listeners.push({cache, event, listener});
+        });
+        return this;
+    }
+
+    /**
+     * Stop rendering the events of all caches
+     */
+    detach() {
+        this.listeners.forEach(({cache, event, listener}) => cache.removeListener(event, listener));
+        this.listeners = [];
+    }
+}
+
+module.exports = Reporter;
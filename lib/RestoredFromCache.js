@@ -6,11 +6,26 @@ class RestoredFromCache {
      * Represents an extraction (where a result was restored from cache)
      * @param {Result} result The cached result that was extracted
      * @param {Number} runtime The time it took to extract
+     * @param {String} tier The cache tier that served the result ("local" or "shared")
+     * @param {{diff: Object|null}|null} [audit = null] If the operation was audited (ran again rather than restored),
+     *   the differences between its output and the cached result (null if identical)
      */
-    constructor({result, runtime}) {
+    constructor({result, runtime, tier, audit = null}) {
         this.result  = result;
         this.runtime = runtime;
+        this.tier    = tier;
+        this.audit   = audit;
+    }
+
+    /**
+     * Always STATUS_EXACT, as a result is only restored (without running the operation) on an exact match
+     * @returns {String}
+     */
+    get status() {
+        return RestoredFromCache.STATUS_EXACT;
     }
 }
 
+RestoredFromCache.STATUS_EXACT = 'exact';
+
 module.exports = RestoredFromCache;
\ No newline at end of file
@@ -12,29 +12,53 @@ class Result {
         inputHash = null,
         action = null,
         outputHash = null,
+        contentHash = null,
+        keyParts = null,
         ttl = null,
         expires = null,
         filename = null,
         compress = null,
+        layout = 'archive',
+        blobs = null,
         fileSize = null,
+        checksum = null,
         runtime = null,
         workingDirectory = null,
+        tier = null,
+        pinned = false,
+        quota = null,
+        tags = [],
+        metadata = {},
 
         created = null,
+        lastAccess = null,
+        hits = 0,
 
     } = {}) {
 
         this.inputHash        = inputHash;
         this.action           = action;
         this.outputHash       = outputHash;
+        this.contentHash      = contentHash;
+        this.keyParts         = keyParts;
         this.expires          = expires || (ttl === null ? -1 : (Date.now() + ttl));
         this.filename         = filename;
         this.compress         = compress;
+        this.layout           = layout;
+        this.blobs            = blobs;
         this.fileSize         = fileSize;
+        this.checksum         = checksum;
         this.runtime          = runtime;
         this.workingDirectory = workingDirectory;
+        this.tier             = tier;
+        this.pinned           = pinned;
+        this.quota            = quota;
+        this.tags             = tags;
+        this.metadata         = metadata;
 
-        this.created = created || Date.now();
+        this.created    = created || Date.now();
+        this.lastAccess = lastAccess || this.created;
+        this.hits       = hits;
     }
 
     /**
@@ -46,12 +70,23 @@ class Result {
             'action',
             'inputHash',
             'outputHash',
+            'contentHash',
+            'keyParts',
             'created',
+            'lastAccess',
+            'hits',
             'expires',
             'filename',
             'compress',
+            'layout',
+            'blobs',
             'fileSize',
+            'checksum',
             'runtime',
+            'pinned',
+            'quota',
+            'tags',
+            'metadata',
         ]);
     }
 
@@ -1,23 +1,24 @@
 'use strict';
 
-const fs   = require('fs');
-const zlib = require('zlib');
-
-const nectar        = require('nectar');
-const StreamCounter = require('stream-counter');
-const slug          = require('slugs');
+const slug = require('slugs');
 
+const Operation    = require('./Operation');
 const Result       = require('./Result');
 const SavedToCache = require('./SavedToCache');
 
-const splitStream       = require('./common/splitStream');
-const incrementFilename = require('./util/incrementFilename');
+const getLayout = require('./util/getLayout');
 
 class Runner {
 
-    constructor({cache, operation}) {
+    /**
+     * @param {Cache} cache
+     * @param {Operation} operation
+     * @param {Result|null} [fallback = null] The fallback result that was restored before running the operation
+     */
+    constructor({cache, operation, fallback = null}) {
         this.cache     = cache;
         this.operation = operation;
+        this.fallback  = fallback;
     }
 
     /**
@@ -29,15 +30,15 @@ class Runner {
         const {inputHash, outputHash} = await operation.getHashes();
         result.inputHash              = inputHash;
         result.outputHash             = outputHash;
+        result.keyParts               = operation.keyParts;
+        result.contentHash            = Operation.getContentHash(await operation.hashOutput());
+        result.metadata               = await operation.getMetadata();
 
         const basename = `${slug(result.action).substring(0, 32)}-${result.inputHash.substring(0, 8)}`;
-        const ext      = operation.compress ? 'tar.gz' : 'tar';
+        const ext      = getLayout(result.layout).getExtension(result);
         const filename = `${basename}.${ext}`;
 
-        result.filename = await incrementFilename({
-            filename,
-            getAbsolutePath: p => cache.getAbsolutePath(p),
-        });
+        result.filename = await cache.reserveFilename(filename);
 
         return result;
     }
@@ -50,47 +51,36 @@ class Runner {
         let startSave = Date.now();
         this.result   = await Runner.prepareResult(this);
 
-        this.cache.emit('store', {operation: this.operation});
-        await this.writeArchive();
-        this.cache.insert(this.result);
+        try {
+            this.cache.notify('store', {operation: this.operation});
+            await this.writeArchive();
+            await this.cache.insert(this.result);
+            await this.cache.upload(this.result);
+        } finally {
+            await this.cache.pending.release(this.result.filename);
+        }
+
         await this.cache.sync();
-        this.cache.emit('saved', {operation: this.operation, result: this.result});
+        this.cache.notify('saved', {operation: this.operation, result: this.result});
 
         return new SavedToCache({
             operationRuntime: this.operation.runtime,
             storageRuntime:   Date.now() - startSave,
             result:           this.result,
+            fallback:         this.fallback,
         });
     }
 
     /**
-     * Create a writeStream for the archive
-     * @returns {*}
-     */
-    createWriteStream() {
-        const destination = this.cache.getAbsolutePath(this.result.filename);
-        const writeStream = fs.createWriteStream(destination);
-        return this.result.compress ? zlib.createGzip().pipe(writeStream) : writeStream;
-    }
-
-    /**
-     * Perform the actual archiving operation, writing the
-     * files at the output of the given cacheable operation to the destination archive file
+     * Perform the actual archiving operation, writing the files at the output
+     * of the given cacheable operation to the storage (according to the layout of the result)
      * @returns {Promise.<void>}
      */
-    async writeArchive() {
-
-        // Create a stream to write the archive to
-        const archive = this.createWriteStream();
-
-        // Use a StreamCounter to keep track of the archive filesize
-        const counter = new StreamCounter();
-
-        // Perform the actual archiving (tarring)
-        await nectar(this.operation.output, splitStream([archive, counter]), {cwd: this.operation.workingDirectory});
-
-        // Assign file size on the result
-        this.result.fileSize = counter.bytes;
+    writeArchive() {
+        const {cache, operation, result} = this;
+        return cache.trackPhase('archive', {operation, result}, null, progress => {
+            return getLayout(result.layout).write({cache, operation, result, progress});
+        });
     }
 
     /**
@@ -98,7 +88,7 @@ class Runner {
      * @return {SavedToCache}
      */
     async run(...args) {
-        this.cache.emit('run', {operation: this.operation});
+        this.cache.notify('run', {operation: this.operation});
         await this.cache.awaitReady();
         await this.operation.run(...args);
         return this.storeResult();
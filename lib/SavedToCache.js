@@ -7,14 +7,28 @@ class SavedToCache {
      * @param {Number} operationRuntime The time it took to perform the operation
      * @param {Number} storageRuntime The time it took to save the result to the cache
      * @param {Result} result
+     * @param {Result|null} [fallback = null] The (non-exact) result that was restored before running the operation
      *
      * // @TODO "runtime" is not the appropriate noun
      */
-    constructor({operationRuntime, storageRuntime, result}) {
+    constructor({operationRuntime, storageRuntime, result, fallback = null}) {
         this.operationRuntime = operationRuntime;
         this.storageRuntime   = storageRuntime;
         this.result           = result;
+        this.fallback         = fallback;
+    }
+
+    /**
+     * Either STATUS_FALLBACK (a fallback result was restored, then the operation ran on top of it)
+     * or STATUS_COLD (the operation ran from scratch)
+     * @returns {String}
+     */
+    get status() {
+        return this.fallback ? SavedToCache.STATUS_FALLBACK : SavedToCache.STATUS_COLD;
     }
 }
 
+SavedToCache.STATUS_FALLBACK = 'fallback';
+SavedToCache.STATUS_COLD     = 'cold';
+
 module.exports = SavedToCache;
\ No newline at end of file
@@ -0,0 +1,109 @@
+'use strict';
+
+const _             = require('lodash');
+const hasha         = require('hasha');
+const parseFilesize = require('filesize-parser');
+
+const readStream = require('./common/readStream');
+const streamOf   = require('./common/streamOf');
+
+const hasExpired          = require('./util/hasExpired');
+const getRedundantResults = require('./util/getRedundantResults');
+
+/**
+ * Read and parse the JSON document stored at the given filename
+ * @param {Storage} storage
+ * @param {String} filename
+ * @returns {Promise.<Object>}
+ */
+const readDocument = async (storage, filename) => JSON.parse((await readStream(storage.get(filename))).toString());
+
+/**
+ * A cache tier that is shared between multiple machines (e.g. CI agents and developer laptops)
+ * Rather than keeping an index, every result is stored as a JSON document next to its archive,
+ * under a name that is derived from the constraints it can be queried by
+ */
+class SharedTier {
+
+    /**
+     * @param {Storage} storage The storage adapter of the shared tier
+     * @param {String|null} [maxSize = null] The maximum size of the shared tier, or null if it should not be limited
+     * @param {Boolean} [readOnly = false] Whether results should only be downloaded from (and never uploaded to) the shared tier
+     */
+    constructor({storage, maxSize = null, readOnly = false}) {
+        this.storage  = storage;
+        this.maxSize  = maxSize === null ? Infinity : parseFilesize(maxSize);
+        this.readOnly = readOnly;
+    }
+
+    /**
+     * Get the key under which a result with the given properties is stored
+     * @param {String} action
+     * @param {String} inputHash
+     * @param {String} outputHash
+     * @returns {String}
+     */
+    static getKey({action, inputHash, outputHash}) {
+        return hasha(JSON.stringify({action, inputHash, outputHash})).substring(0, 32);
+    }
+
+    /**
+     * Find the document that satisfies the given query
+     * @param {Query} query
+     * @returns {Promise.<Object|null>}
+     */
+    async findOne(query) {
+        const docFilename = `${SharedTier.getKey(query.constraints)}.json`;
+
+        if (!await this.storage.exists(docFilename)) return null;
+
+        const doc = await readDocument(this.storage, docFilename);
+
+        return (query.predicate(doc) && await this.storage.exists(doc.filename)) ? doc : null;
+    }
+
+    /**
+     * Upload the given (locally stored) result to the shared tier
+     * @param {Result} result
+     * @param {Storage} from The storage that currently holds the archive of the result
+     * @returns {Promise.<void>}
+     */
+    async upload(result, from) {
+        const key = SharedTier.getKey(result);
+        const doc = {...result.toDocument(), filename: `${key}-${result.filename}`};
+
+        await this.storage.put(doc.filename, from.get(result.filename));
+        await this.storage.put(`${key}.json`, streamOf(JSON.stringify(doc)));
+    }
+
+    /**
+     * Get all documents stored in the shared tier
+     * @returns {Promise.<Object[]>}
+     */
+    async all() {
+        const docFilenames = _.filter(await this.storage.list(), filename => filename.endsWith('.json'));
+        return Promise.all(_.map(docFilenames, async filename => {
+            return {...await readDocument(this.storage, filename), id: filename};
+        }));
+    }
+
+    /**
+     * Remove expired results and make sure the size of the shared tier does not exceed the maximum allowed size
+     * @returns {Promise.<Object[]>} The documents that were removed
+     */
+    async maintainMaxSize() {
+        const [expired, docs] = _.partition(await this.all(), hasExpired);
+
+        const totalSize = _.sumBy(docs, 'fileSize');
+        const remove    = expired.concat(getRedundantResults(docs, this.maxSize, totalSize));
+
+        await Promise.all(_.map(remove, async doc => {
+            await this.storage.delete(doc.id);
+            await this.storage.delete(doc.filename);
+        }));
+
+        return remove;
+    }
+}
+
+module.exports = SharedTier;
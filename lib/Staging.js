@@ -0,0 +1,160 @@
+'use strict';
+
+const fs      = require('fs');
+const path    = require('path');
+const pify    = require('pify');
+const del     = require('del');
+const globby  = require('globby');
+const fsExtra = require('fs-extra');
+const _       = require('lodash');
+
+const listEntries = require('./util/listEntries');
+
+/**
+ * Get the stats of the file at the given path, or null if it doesn't exist
+ * @param {String} file
+ * @returns {Promise.<fs.Stats|null>}
+ */
+const stat = file => pify(fs.lstat)(file).catch(() => null);
+
+/**
+ * Whether the given path is contained by (or equal to) one of the given directories
+ * @param {String} file
+ * @param {String[]} directories
+ * @returns {Boolean}
+ */
+const isWithin = (file, directories) => _.some(directories, directory => file === directory || file.startsWith(`${directory}/`));
+
+/**
+ * A staging directory that a result is extracted into, before it is swapped into place
+ *
+ * The swap renames whole directories where possible and moves individual files otherwise.
+ * Every existing file that is replaced is moved aside into a backup directory first, and every
+ * move is recorded, so that the working directory can be rolled back to its original state
+ * if the swap fails halfway
+ */
+class Staging {
+
+    /**
+     * @param {String} directory A (fresh) directory, preferably on the same filesystem as the working directory
+     * @param {String} workingDirectory
+     * @param {String[]} output The output patterns of the operation
+     * @param {Boolean} [clean = false] Whether the existing files matching the output should be replaced as a whole
+     */
+    constructor({directory, workingDirectory, output, clean = false}) {
+        this.directory        = directory;
+        this.stage            = path.join(directory, 'stage');
+        this.backup           = path.join(directory, 'backup');
+        this.workingDirectory = workingDirectory;
+        this.output           = output;
+        this.clean            = clean;
+        this.journal          = [];
+    }
+
+    /**
+     * Move the file or directory at the given (relative) path
+     * @param {String} from The directory to move from
+     * @param {String} to The directory to move to
+     * @param {String} file
+     * @returns {Promise}
+     */
+    async move(from, to, file) {
+        const source      = path.join(from, file);
+        const destination = path.join(to, file);
+        await fsExtra.move(source, destination);
+        this.journal.push({source, destination});
+    }
+
+    /**
+     * Get the output entries that are plain directories (rather than globs) in the given directory
+     * @param {String} cwd
+     * @returns {Promise.<String[]>}
+     */
+    async getDirectories(cwd) {
+        const candidates = _.reject(this.output, pattern => globby.hasMagic(pattern));
+        const stats      = await Promise.all(_.map(candidates, pattern => stat(path.join(cwd, pattern))));
+        return _.map(_.filter(candidates, (pattern, i) => stats[i] && stats[i].isDirectory()), pattern => path.normalize(pattern).replace(/\/+$/, ''));
+    }
+
+    /**
+     * Move the staged files into place, rolling back if anything goes wrong
+     * @returns {Promise.<{renamed: String[], moved: String[]}>} The directories that were renamed as a whole
+     *   and the files that were moved individually
+     */
+    async swap() {
+        try {
+            if (this.clean) await this.moveExistingAside();
+            return await this.moveStagedIntoPlace();
+        } catch (error) {
+            await this.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Move all the existing entries matching the output into the backup directory
+     * @returns {Promise}
+     */
+    async moveExistingAside() {
+        const directories = await this.getDirectories(this.workingDirectory);
+        for (const directory of directories)
+            await this.move(this.workingDirectory, this.backup, directory);
+
+        for (const {path: file} of await listEntries(this.output, this.workingDirectory))
+            await this.move(this.workingDirectory, this.backup, file);
+    }
+
+    /**
+     * Move the staged directories and files into the working directory,
+     * moving the files they replace into the backup directory first
+     * @returns {Promise.<{renamed: String[], moved: String[]}>}
+     */
+    async moveStagedIntoPlace() {
+        const renamed = [];
+        const moved   = [];
+
+        // Directories that don't exist in the working directory are renamed as a whole,
+        // existing ones are merged file by file
+        for (const directory of await this.getDirectories(this.stage)) {
+            if (await stat(path.join(this.workingDirectory, directory))) continue;
+            await this.move(this.stage, this.workingDirectory, directory);
+            renamed.push(directory);
+        }
+
+        const entries = _.reject(await listEntries(['**'], this.stage), ({path: file}) => isWithin(file, renamed));
+
+        for (const {path: file, type} of entries) {
+            const existing = await stat(path.join(this.workingDirectory, file));
+
+            // Empty directories that already exist don't need to be moved, this includes
+            // the (now empty) parents of the directories that were renamed
+            if (type === 'directory' && existing && existing.isDirectory()) continue;
+
+            if (existing) await this.move(this.workingDirectory, this.backup, file);
+            await this.move(this.stage, this.workingDirectory, file);
+            moved.push(file);
+        }
+
+        return {renamed, moved};
+    }
+
+    /**
+     * Undo all moves (in reverse order)
+     * @returns {Promise}
+     */
+    async rollback() {
+        for (const {source, destination} of this.journal.reverse())
+            await fsExtra.move(destination, source, {overwrite: true});
+        this.journal = [];
+    }
+
+    /**
+     * Remove the staging directory, including the backups
+     * @returns {Promise}
+     */
+    cleanup() {
+        return del(this.directory, {force: true});
+    }
+}
+
+module.exports = Staging;
@@ -0,0 +1,106 @@
+'use strict';
+
+const _      = require('lodash');
+const mkdirp = require('make-dir');
+const path   = require('path');
+const low    = require('lowdb');
+
+const Lock           = require('./Lock');
+const AtomicFileSync = require('./common/AtomicFileSync');
+
+/**
+ * The counters that are kept for every action:
+ * - hits / misses: The number of times a result was restored / the operation was ran (and its result stored)
+ * - audits: The number of times a result was found, but the operation was ran anyway to audit it (see "audit")
+ * - timeSaved: The sum of the original runtimes of the restored results minus the time it took to restore them
+ * - restoreTime / runTime: The total time spent restoring results / running operations
+ * - bytesStored / bytesEvicted: The total size of the results that were stored / evicted
+ * - evictions: The number of results that were evicted (because they expired, or to maintain the max size or quotas)
+ */
+const COUNTERS = ['hits', 'misses', 'audits', 'timeSaved', 'restoreTime', 'runTime', 'bytesStored', 'bytesEvicted', 'evictions'];
+
+/**
+ * Get the given counters, along with the derived hit rate
+ * @param {Object} counters
+ * @returns {Object}
+ */
+const summarize = counters => {
+    const summary = _.mapValues(_.keyBy(COUNTERS), counter => counters[counter] || 0);
+    const lookups = summary.hits + summary.misses;
+    return {...summary, hitRate: lookups ? summary.hits / lookups : null};
+};
+
+/**
+ * Persistent hit / miss telemetry, aggregated per action
+ *
+ * Note that, just like the index, the stats may be shared with other processes,
+ * so they are re-read before every update and all updates are performed while holding a lock
+ */
+class Stats {
+
+    /**
+     * @param {String} filename
+     */
+    constructor({filename}) {
+        this.filename = filename;
+        this.lock     = new Lock({filename: `${filename}.lock`});
+    }
+
+    async sync() {
+        if (!this.db) {
+            await mkdirp(path.dirname(this.filename));
+            this.db = low(new AtomicFileSync(this.filename));
+        }
+    }
+
+    /**
+     * Re-read the stats
+     * @returns {{since: Number|null, actions: Object}}
+     */
+    read() {
+        this.db.read();
+        return _.defaults(this.db.getState(), {since: null, actions: {}});
+    }
+
+    /**
+     * Add the given amounts to the counters of the given action
+     * @param {String} action
+     * @param {Object} increments e.g. {hits: 1, timeSaved: 1200}
+     * @returns {Promise}
+     */
+    async record(action, increments) {
+        await this.sync();
+        return this.lock.run(() => {
+            const state    = this.read();
+            const counters = state.actions[action] || (state.actions[action] = {});
+
+            _.forEach(_.pick(increments, COUNTERS), (amount, counter) => counters[counter] = (counters[counter] || 0) + amount);
+
+            this.db.setState({...state, since: state.since || Date.now()}).write();
+        });
+    }
+
+    /**
+     * Get the counters (and hit rate) of every action, as well as the totals
+     * @returns {Promise.<{since: Number|null, actions: Object, total: Object}>}
+     */
+    async get() {
+        await this.sync();
+        const {since, actions} = this.read();
+        const total            = _.mapValues(_.keyBy(COUNTERS), counter => _.sumBy(_.values(actions), counter) || 0);
+        return {since, actions: _.mapValues(actions, summarize), total: summarize(total)};
+    }
+
+    /**
+     * Reset all counters
+     * @returns {Promise}
+     */
+    async reset() {
+        await this.sync();
+        return this.lock.run(() => this.db.setState({since: null, actions: {}}).write());
+    }
+}
+
+Stats.COUNTERS = COUNTERS;
+
+module.exports = Stats;
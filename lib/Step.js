@@ -6,6 +6,12 @@ const STATUS_SKIP    = Symbol('skip');
 const STATUS_RESTORE = Symbol('restore');
 const STATUS_RUN     = Symbol('run');
 
+const STATUS_NAMES = new Map([
+    [STATUS_SKIP, 'skip'],
+    [STATUS_RESTORE, 'restore'],
+    [STATUS_RUN, 'run'],
+]);
+
 /**
  * Represents a single step in a cache flow
  * Note that this structure is stateful, i.e. the properties
@@ -21,6 +27,8 @@ class Step {
         operation = null,
         run = null,
 
+        name = null,
+        dependsOn = [],
         isIntermediate = false,
         status = null,
         index = null,
@@ -34,6 +42,8 @@ class Step {
 
         this.operation      = operation;
         this.run            = run;
+        this.name           = name || (operation ? operation.action : `step ${index}`);
+        this.dependsOn      = dependsOn;
         this.isIntermediate = isIntermediate;
         this.index          = index;
         this.forward        = forward;
@@ -48,11 +58,26 @@ class Step {
         if (!this.status && !this.isCacheable) this.status = STATUS_RUN;
 
         this.evaluated = false;
+
+        // The cached result that was found when the step was evaluated (if any)
+        this.result = null;
+
+        // The outcome of running the step, or the error it failed with
+        this.outcome = null;
+        this.error   = null;
     }
 
     get isCacheable() {
         return !!this.operation;
     }
+
+    /**
+     * The name of the status ("skip", "restore" or "run"), or null if the step hasn't been evaluated yet
+     * @returns {String|null}
+     */
+    get statusName() {
+        return STATUS_NAMES.get(this.status) || null;
+    }
 }
 
 Step.STATUS_SKIP    = STATUS_SKIP;
@@ -0,0 +1,19 @@
+'use strict';
+
+const format      = require('../util/format');
+const createCache = require('./createCache');
+
+/**
+ * johnnycache clear [--json]
+ * Remove all results from the cache
+ * @returns {Promise.<Number>} The exit code
+ */
+module.exports = async ({flags, print}) => {
+
+    const removed = await createCache(flags).clear();
+
+    if (flags.json) print(format.json(removed.map(format.serialize)));
+    else print(`Removed ${removed.length} result(s)`);
+
+    return 0;
+};
@@ -0,0 +1,13 @@
+'use strict';
+
+const Cache = require('../Cache');
+
+/**
+ * Create a Cache instance according to the cache-level CLI flags
+ * @param {Object} flags
+ * @returns {Cache}
+ */
+module.exports = ({workspace, maxSize}) => new Cache({
+    workspace: workspace || null,
+    maxSize:   maxSize || undefined,
+});
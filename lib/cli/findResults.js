@@ -0,0 +1,18 @@
+'use strict';
+
+/**
+ * Find the results matching the given id or action, failing if there are none
+ * @param {Cache} cache
+ * @param {String} idOrAction
+ * @returns {Promise.<Result[]>}
+ */
+module.exports = async (cache, idOrAction) => {
+
+    if (!idOrAction) throw new Error('No id or action given');
+
+    const results = await cache.findResults(idOrAction);
+
+    if (!results.length) throw new Error(`No cached results found for "${idOrAction}"`);
+
+    return results;
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+const format      = require('../util/format');
+const createCache = require('./createCache');
+const findResults = require('./findResults');
+
+/**
+ * johnnycache info <id|action> [--json]
+ * Show all the details of the matching results
+ * @returns {Promise.<Number>} The exit code
+ */
+module.exports = async ({flags, args, print}) => {
+
+    const results = await findResults(createCache(flags), args[0]);
+
+    if (flags.json) print(format.json(results.map(format.serialize)));
+    else print(results.map(format.details).join('\n\n'));
+
+    return 0;
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+const format      = require('../util/format');
+const createCache = require('./createCache');
+
+/**
+ * johnnycache ls [--json]
+ * List all cached results
+ * @returns {Promise.<Number>} The exit code
+ */
+module.exports = async ({flags, print}) => {
+
+    const results = await createCache(flags).getResults();
+
+    if (flags.json) print(format.json(results.map(format.serialize)));
+    else print(results.length ? format.results(results) : 'The cache is empty');
+
+    return 0;
+};
@@ -0,0 +1,22 @@
+'use strict';
+
+const format        = require('../util/format');
+const createCache   = require('./createCache');
+const parseDuration = require('../util/parseDuration');
+
+/**
+ * johnnycache prune [--max-size <size>] [--older-than <duration>] [--json]
+ * Remove expired results, results older than the given age and
+ * the most irrelevant results if the maximum size is exceeded
+ * @returns {Promise.<Number>} The exit code
+ */
+module.exports = async ({flags, print}) => {
+
+    const olderThan = flags.olderThan === undefined ? null : parseDuration(flags.olderThan);
+    const removed   = await createCache(flags).prune({olderThan});
+
+    if (flags.json) print(format.json(removed.map(format.serialize)));
+    else print(removed.length ? `Removed ${removed.length} result(s)\n\n${format.results(removed)}` : 'Nothing to prune');
+
+    return 0;
+};
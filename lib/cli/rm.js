@@ -0,0 +1,23 @@
+'use strict';
+
+const format      = require('../util/format');
+const createCache = require('./createCache');
+const findResults = require('./findResults');
+
+/**
+ * johnnycache rm <id|action> [--json]
+ * Remove the matching results from the cache
+ * @returns {Promise.<Number>} The exit code
+ */
+module.exports = async ({flags, args, print}) => {
+
+    const cache   = createCache(flags);
+    const results = await findResults(cache, args[0]);
+
+    await cache.deleteResults(results);
+
+    if (flags.json) print(format.json(results.map(format.serialize)));
+    else print(`Removed ${results.length} result(s)\n\n${format.results(results)}`);
+
+    return 0;
+};
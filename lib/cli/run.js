@@ -0,0 +1,60 @@
+'use strict';
+
+const arrify = require('arrify');
+
+const Intent       = require('../Intent');
+const Reporter     = require('../Reporter');
+const SavedToCache = require('../SavedToCache');
+
+const exec = require('../common/exec');
+
+const createCache   = require('./createCache');
+const parseDuration = require('../util/parseDuration');
+
+/**
+ * Parse the --compress flag, which is either a boolean, a codec name or "codec:level"
+ * @param {Boolean|String|undefined} compress
+ * @returns {Boolean|String|Object}
+ */
+const parseCompress = compress => {
+    if (typeof compress !== 'string') return !!compress;
+    const [codec, level] = compress.split(':');
+    return level === undefined ? codec : {codec, level: Number(level)};
+};
+
+/**
+ * johnnycache run [options] -- <command>
+ * Run the given command, or restore its output from the cache
+ * @param {Object} flags
+ * @param {String[]} command The command (and its arguments) to wrap
+ * @param {Function} log
+ * @returns {Promise.<Number>} The exit code
+ */
+module.exports = async ({flags, command, log}) => {
+
+    const [file, ...args] = command;
+
+    if (!file) throw new Error('No command given, usage: johnnycache run [options] -- <command>');
+    if (!flags.output) throw new Error('At least one --output is required');
+
+    const cache = createCache(flags);
+    if (flags.verbose) new Reporter({write: log}).attach(cache);
+
+    const intent = new Intent(() => exec(file, args), {
+        action:      flags.action || command.join(' '),
+        input:       arrify(flags.input),
+        output:      arrify(flags.output),
+        ttl:         flags.ttl === undefined ? null : parseDuration(flags.ttl),
+        compress:    parseCompress(flags.compress),
+        restoreMode: flags.restoreMode || 'merge',
+    });
+
+    const outcome = await cache.run(intent);
+
+    if (outcome instanceof SavedToCache)
+        log(`Saved "${outcome.result.action}" to the cache`);
+    else
+        log(`Restored "${outcome.result.action}" from the cache in ${outcome.runtime}ms`);
+
+    return 0;
+};
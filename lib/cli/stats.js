@@ -0,0 +1,27 @@
+'use strict';
+
+const format      = require('../util/format');
+const createCache = require('./createCache');
+
+/**
+ * johnnycache stats [--reset] [--json]
+ * Show the hit / miss statistics per action, or reset them
+ * @returns {Promise.<Number>} The exit code
+ */
+module.exports = async ({flags, print}) => {
+
+    const cache = createCache(flags);
+
+    if (flags.reset) {
+        await cache.resetStats();
+        print('The statistics have been reset');
+        return 0;
+    }
+
+    const stats = await cache.stats();
+
+    if (flags.json) print(format.json(stats));
+    else print(stats.since ? format.stats(stats) : 'No statistics recorded yet');
+
+    return 0;
+};
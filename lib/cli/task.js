@@ -0,0 +1,55 @@
+'use strict';
+
+const Cache             = require('../Cache');
+const Reporter          = require('../Reporter');
+const format            = require('../util/format');
+const SavedToCache      = require('../SavedToCache');
+const RestoredFromCache = require('../RestoredFromCache');
+
+/**
+ * johnnycache task <name> [--config <file>] [--concurrency <n>] [--continue-on-error] [--verbose] [--dry-run [--json]]
+ * Run the given task (and the tasks it depends on) as declared in the config file,
+ * restoring their output from the cache where possible
+ * With --dry-run, only show what would be ran, restored or skipped (and why)
+ * @param {Object} flags
+ * @param {String[]} args
+ * @param {Function} log
+ * @param {Function} print
+ * @returns {Promise.<Number>} The exit code
+ */
+module.exports = async ({flags, args, log, print}) => {
+
+    const [name] = args;
+
+    if (!name) throw new Error('No task given, usage: johnnycache task <name>');
+
+    const cache = Cache.fromConfig({
+        filename:  flags.config || null,
+        workspace: flags.workspace,
+        maxSize:   flags.maxSize,
+    });
+
+    if (flags.verbose) new Reporter({write: log}).attach(cache);
+
+    if (flags.dryRun) {
+        const plan = await cache.planTask(name);
+        print(flags.json ? format.json(plan) : format.plan(plan));
+        return 0;
+    }
+
+    await cache.runTask(name, async (actual, task) => {
+        const outcome = await actual();
+        if (outcome instanceof SavedToCache)
+            log(`Saved "${task}" to the cache`);
+        else if (outcome instanceof RestoredFromCache)
+            log(`Restored "${task}" from the cache in ${outcome.runtime}ms`);
+        else if (outcome === null)
+            log(`Skipped "${task}"`);
+        return outcome;
+    }, {
+        concurrency: flags.concurrency === undefined ? 1 : Number(flags.concurrency),
+        failFast:    !flags.continueOnError,
+    });
+
+    return 0;
+};
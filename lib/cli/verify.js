@@ -0,0 +1,29 @@
+'use strict';
+
+const format      = require('../util/format');
+const createCache = require('./createCache');
+
+/**
+ * johnnycache verify [--fix] [--json]
+ * Check whether the files of all cached results are intact
+ * @returns {Promise.<Number>} The exit code (1 if invalid results were found and not removed)
+ */
+module.exports = async ({flags, print}) => {
+
+    const {valid, invalid} = await createCache(flags).verify({remove: !!flags.fix});
+
+    if (flags.json)
+        print(format.json({
+            valid:   valid.map(format.serialize),
+            invalid: invalid.map(({result, reason}) => ({...format.serialize(result), reason})),
+        }));
+    else if (!invalid.length)
+        print(`All ${valid.length} result(s) are valid`);
+    else
+        print(`${invalid.length} invalid result(s)${flags.fix ? ' removed' : ''}\n\n` + format.table(
+            ['ID', 'ACTION', 'REASON'],
+            invalid.map(({result, reason}) => [result.id.substring(0, 8), result.action, reason])
+        ));
+
+    return invalid.length && !flags.fix ? 1 : 0;
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+const fs       = require('fs');
+const FileSync = require('lowdb/adapters/FileSync');
+
+/**
+ * lowdb adapter that writes to a temporary file first and then renames it into place,
+ * so other processes never read a partially written database
+ */
+class AtomicFileSync extends FileSync {
+
+    write(data) {
+        const temporary = `${this.source}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, this.serialize(data));
+        fs.renameSync(temporary, this.source);
+    }
+}
+
+module.exports = AtomicFileSync;
@@ -0,0 +1,23 @@
+'use strict';
+
+const spawn = require('child_process').spawn;
+
+/**
+ * Spawn the given command, forwarding stdio
+ * If no arguments are given, the command is ran through the shell
+ * @param {String} command
+ * @param {String[]|null} [args = null]
+ * @param {Object} [options = {}] Additional options for child_process.spawn
+ * @returns {Promise} Rejects with an error that holds the exit code if the command fails
+ */
+module.exports = (command, args = null, options = {}) => new Promise((resolve, reject) => {
+    const shell = args === null || process.platform === 'win32';
+    const child = spawn(command, args || [], {stdio: 'inherit', shell, ...options});
+    child.on('error', reject);
+    child.on('exit', (code, signal) => {
+        if (code === 0) return resolve();
+        const error    = new Error(signal ? `Command was killed with ${signal}` : `Command failed with exit code ${code}`);
+        error.exitCode = code || 1;
+        reject(error);
+    });
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+const tar         = require('tar-fs');
+const PassThrough = require('stream').PassThrough;
+
+/**
+ * Extract the tar archive from the given readable stream
+ * Errors decoding the archive (as opposed to errors reading it or writing its files)
+ * are flagged as "corrupted", as the archive itself is broken
+ * @param {stream.Readable} readable
+ * @param {String} extractTo
+ * @param {stream.Duplex} [decompress] A stream that decompresses the archive
+ * @param {Object} [options = {}] Options for tar-fs (tar.extract)
+ * @returns {Promise}
+ */
+module.exports = (readable, extractTo, decompress = new PassThrough(), options = {}) => new Promise((resolve, reject) => {
+
+    const extract = tar.extract(extractTo, options);
+
+    const corrupted = error => {
+        error.corrupted = true;
+        reject(error);
+    };
+
+    readable.on('error', reject);
+    decompress.on('error', corrupted);
+    extract.on('error', error => error.code ? reject(error) : corrupted(error));
+    extract.on('finish', resolve);
+
+    readable.pipe(decompress).pipe(extract);
+});
@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Read the full contents of the given readable stream
+ * @param {stream.Readable} readable
+ * @returns {Promise.<Buffer>}
+ */
+module.exports = readable => new Promise((resolve, reject) => {
+    const chunks = [];
+    readable.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    readable.on('end', () => resolve(Buffer.concat(chunks)));
+    readable.on('error', reject);
+});
@@ -0,0 +1,14 @@
+'use strict';
+
+const PassThrough = require('stream').PassThrough;
+
+/**
+ * Create a readable stream with the given contents
+ * @param {String|Buffer} contents
+ * @returns {stream.Readable}
+ */
+module.exports = contents => {
+    const pass = new PassThrough();
+    pass.end(contents);
+    return pass;
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+const tar           = require('tar-fs');
+const hasha         = require('hasha');
+const StreamCounter = require('stream-counter');
+
+const extractStream = require('../common/extractStream');
+const compression   = require('../util/compression');
+const listEntries   = require('../util/listEntries');
+
+/**
+ * Get the compression settings the archive of the given result was written with
+ * Documents recorded before the codec was (written as "compress: true") refer to plain tar archives
+ * @param {Result} result
+ * @returns {Object|false}
+ */
+const getArchiveCompression = ({compress}) => compress === true ? false : compress;
+
+/**
+ * Default layout: the output of an operation is stored as a single (optionally compressed) tar archive
+ */
+module.exports = {
+
+    // Whether results in this layout can be uploaded to the shared tier
+    isShareable: true,
+
+    /**
+     * Get the file extension for the given result
+     * @param {Result} result
+     * @returns {String}
+     */
+    getExtension({compress}) {
+        return compression.getExtension(compress);
+    },
+
+    /**
+     * Get the names of all files in the storage that belong to the given result (document)
+     * @param {Object} doc
+     * @returns {String[]}
+     */
+    getFilenames({filename}) {
+        return [filename];
+    },
+
+    /**
+     * Create a stream for the archive, of which the output is written to the storage
+     * @param {Cache} cache
+     * @param {Result} result
+     * @returns {{archive: stream.Duplex, written: Promise}} "written" resolves once the storage has persisted the archive
+     */
+    createWriteStream({cache, result}) {
+        const archive = compression.createCompressStream(result.compress);
+        const written = cache.storage.put(result.filename, archive);
+        return {archive, written};
+    },
+
+    /**
+     * Write the files at the output of the given cacheable operation to the archive of the result
+     * @param {Cache} cache
+     * @param {Operation} operation
+     * @param {Result} result
+     * @param {Function} [progress] Invoked with the number of bytes written to the archive since the last invocation
+     * @returns {Promise.<void>}
+     */
+    async write({cache, operation, result, progress = () => {}}) {
+
+        // Create a stream to write the archive to
+        const {archive, written} = module.exports.createWriteStream({cache, result});
+
+        // Use a StreamCounter to keep track of the archive filesize
+        const counter = new StreamCounter();
+        archive.pipe(counter);
+        archive.on('data', chunk => progress(chunk.length));
+
+        // Hash the archive as it's written, so it can be verified before it's extracted
+        const hashed = hasha.fromStream(archive, {algorithm: 'sha256'});
+
+        // Perform the actual archiving (tarring), symlinks are stored as such (rather than followed)
+        // and the mode and mtime of every entry is recorded. If an entry can't be read (e.g. it vanished
+        // in the meantime), the archive is destroyed so the storage discards the partially written file
+        const entries = await listEntries(operation.output, operation.workingDirectory);
+        const pack    = tar.pack(operation.workingDirectory, {entries: entries.map(entry => entry.path)});
+        pack.on('error', error => archive.destroy(error));
+        pack.pipe(archive);
+
+        // Wait for the storage to finish writing the archive
+        const [, checksum] = await Promise.all([written, hashed]);
+
+        // Assign file size and checksum on the result
+        result.fileSize = counter.bytes;
+        result.checksum = checksum;
+    },
+
+    /**
+     * Verify the archive of the given result against its recorded checksum
+     * Results that were stored without a checksum are considered intact
+     * @param {Cache} cache
+     * @param {Result} result
+     * @returns {Promise.<String[]>} The names of the corrupted files
+     */
+    async verify({cache, result}) {
+        if (!result.checksum) return [];
+        const checksum = await hasha.fromStream(cache.storage.get(result.filename), {algorithm: 'sha256'});
+        return checksum === result.checksum ? [] : [result.filename];
+    },
+
+    /**
+     * Extract the archive of the given result into its working directory
+     * The decompression codec is determined by the "compress" setting recorded on the result,
+     * rather than by the extension of the archive (see getArchiveCompression)
+     * @param {Cache} cache
+     * @param {Result} result
+     * @param {String} [mtime = 'original'] Whether to restore the original mtimes, or leave them at "now"
+     * @param {Function} [progress] Invoked with the number of bytes read from the archive since the last invocation
+     * @returns {Promise}
+     */
+    restore({cache, result, mtime = 'original', progress = () => {}}) {
+        const readable = cache.storage.get(result.filename);
+        readable.on('data', chunk => progress(chunk.length));
+        return extractStream(
+            readable,
+            result.workingDirectory,
+            compression.createDecompressStream(getArchiveCompression(result)),
+            {utimes: mtime === 'original'}
+        );
+    },
+};
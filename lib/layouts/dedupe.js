@@ -0,0 +1,166 @@
+'use strict';
+
+const fs      = require('fs');
+const path    = require('path');
+const _       = require('lodash');
+const hasha   = require('hasha');
+const mkdirp  = require('make-dir');
+const pify    = require('pify');
+const Promise = require('bluebird');
+
+const readStream = require('../common/readStream');
+const streamOf   = require('../common/streamOf');
+
+const listEntries = require('../util/listEntries');
+
+// The number of files that are hashed / copied simultaneously
+const CONCURRENCY = 8;
+
+/**
+ * Get the storage filename of the blob with the given content hash
+ * @param {String} hash
+ * @returns {String}
+ */
+const getBlobFilename = hash => `${hash}.blob`;
+
+/**
+ * Write the given readable stream to the file at the given path
+ * @param {stream.Readable} readable
+ * @param {String} destination
+ * @param {Number} mode
+ * @param {Function} progress Invoked with the number of bytes of every chunk that is written
+ * @returns {Promise}
+ */
+const writeFile = (readable, destination, mode, progress) => new Promise((resolve, reject) => {
+    const writeStream = fs.createWriteStream(destination, {mode});
+    readable.on('data', chunk => progress(chunk.length));
+    readable.on('error', reject);
+    writeStream.on('error', reject);
+    writeStream.on('close', resolve);
+    readable.pipe(writeStream);
+});
+
+/**
+ * Deduplicated layout: every output file is stored once as a blob (by its content hash)
+ * and the result itself is a manifest that maps the paths of the output files to their blobs
+ *
+ * The size of a result ("fileSize") is the size of its manifest, the blobs it refers to
+ * are kept on the result as a {hash: size} map, so that blobs shared between results are
+ * only accounted for once
+ */
+module.exports = {
+
+    // The blobs may be shared with other results
+    isShareable: false,
+
+    getBlobFilename,
+
+    getExtension() {
+        return 'json';
+    },
+
+    getFilenames({filename, blobs}) {
+        return [filename].concat(_.map(_.keys(blobs), getBlobFilename));
+    },
+
+    /**
+     * Store the blobs of all output files of the given operation and write the manifest of the result
+     * Symlinks and empty directories are recorded in the manifest as such, along with the mode and mtime of every entry
+     * @param {Cache} cache
+     * @param {Operation} operation
+     * @param {Result} result
+     * @param {Function} [progress] Invoked with the size of every file that is hashed and stored
+     * @returns {Promise.<void>}
+     */
+    async write({cache, operation, result, progress = _.noop}) {
+
+        const listed = await listEntries(operation.output, operation.workingDirectory);
+
+        const entries = await Promise.map(listed, async ({path: file, type}) => {
+            const absolute              = path.join(operation.workingDirectory, file);
+            const {mode, size, mtimeMs} = await pify(fs.lstat)(absolute);
+            const entry                 = {path: file, mode: mode & 0o777, mtime: mtimeMs};
+
+            if (type === 'symlink') return {...entry, type, target: await pify(fs.readlink)(absolute)};
+            if (type === 'directory') return {...entry, type};
+
+            const hash = await hasha.fromFile(absolute, {algorithm: 'sha256'});
+            progress(size);
+            return {...entry, hash, size, absolute};
+        }, {concurrency: CONCURRENCY});
+
+        const files = _.filter(entries, 'hash');
+        const blobs = _.fromPairs(_.map(files, ({hash, size}) => [hash, size]));
+
+        // Make sure other processes don't purge the blobs before the result has been added to the index
+        await cache.pending.reference(result.filename, _.map(_.keys(blobs), getBlobFilename));
+
+        await Promise.map(_.uniqBy(files, 'hash'), async ({hash, absolute}) => {
+            const filename = getBlobFilename(hash);
+            if (!await cache.storage.exists(filename))
+                await cache.storage.put(filename, fs.createReadStream(absolute));
+        }, {concurrency: CONCURRENCY});
+
+        const manifest = JSON.stringify({files: _.map(entries, entry => _.pick(entry, ['path', 'type', 'hash', 'target', 'mode', 'mtime']))});
+
+        await cache.storage.put(result.filename, streamOf(manifest));
+
+        result.fileSize = Buffer.byteLength(manifest);
+        result.checksum = hasha(manifest, {algorithm: 'sha256'});
+        result.blobs    = blobs;
+    },
+
+    /**
+     * Verify the manifest of the given result against its recorded checksum,
+     * and every blob it refers to against the content hash it's named after
+     * @param {Cache} cache
+     * @param {Result} result
+     * @returns {Promise.<String[]>} The names of the corrupted files
+     */
+    async verify({cache, result}) {
+        const hashes  = _.keys(result.blobs);
+        const actual  = await Promise.map(hashes, hash => hasha.fromStream(cache.storage.get(getBlobFilename(hash)), {algorithm: 'sha256'}), {concurrency: CONCURRENCY});
+        const corrupt = _.map(_.filter(hashes, (hash, i) => actual[i] !== hash), getBlobFilename);
+
+        if (result.checksum) {
+            const manifest = await readStream(cache.storage.get(result.filename));
+            if (hasha(manifest, {algorithm: 'sha256'}) !== result.checksum) corrupt.unshift(result.filename);
+        }
+
+        return corrupt;
+    },
+
+    /**
+     * Restore all entries listed in the manifest of the given result, the files from their blobs
+     * @param {Cache} cache
+     * @param {Result} result
+     * @param {String} [mtime = 'original'] Whether to restore the original mtimes, or leave them at "now"
+     * @param {Function} [progress] Invoked with the number of bytes read from the blobs since the last invocation
+     * @returns {Promise.<void>}
+     */
+    async restore({cache, result, mtime = 'original', progress = _.noop}) {
+
+        const {files} = JSON.parse((await readStream(cache.storage.get(result.filename))).toString());
+
+        await Promise.map(files, async file => {
+            const destination = path.join(result.workingDirectory, file.path);
+
+            if (file.type === 'symlink') {
+                await mkdirp(path.dirname(destination));
+                return pify(fs.symlink)(file.target, destination);
+            }
+
+            if (file.type === 'directory') await mkdirp(destination);
+            else {
+                await mkdirp(path.dirname(destination));
+                await writeFile(cache.storage.get(getBlobFilename(file.hash)), destination, file.mode, progress);
+            }
+
+            await pify(fs.chmod)(destination, file.mode);
+
+            // Manifests written by older versions don't have mtimes
+            if (mtime === 'original' && file.mtime)
+                await pify(fs.utimes)(destination, new Date(), new Date(file.mtime));
+        }, {concurrency: CONCURRENCY});
+    },
+};
@@ -0,0 +1,196 @@
+'use strict';
+
+const fs      = require('fs');
+const path    = require('path');
+const _       = require('lodash');
+const del     = require('del');
+const hasha   = require('hasha');
+const mkdirp  = require('make-dir');
+const pify    = require('pify');
+const Promise = require('bluebird');
+
+const listEntries = require('../util/listEntries');
+
+// The number of entries that are copied / linked simultaneously
+const CONCURRENCY = 8;
+
+const {COPYFILE_FICLONE_FORCE} = fs.constants;
+
+/**
+ * Get the directory the tree of the given result is (to be) stored in
+ * @param {Cache} cache
+ * @param {String} filename
+ * @returns {String}
+ */
+const getDirectory = (cache, filename) => {
+    const directory = cache.storage.getLocalPath(filename);
+    if (!directory) throw new Error('The "tree" layout requires a storage adapter that keeps the files locally');
+    return directory;
+};
+
+/**
+ * Get the structure of the tree in the given directory: the path, type and size of every entry
+ * The structure is what the checksum of a result in this layout is based on, as hashing the
+ * contents of every file would defeat the purpose of near-instant restores
+ * @param {String} directory
+ * @returns {Promise.<{path: String, type: String, size: Number}[]>}
+ */
+const getStructure = async directory => {
+    const entries = await listEntries(['**'], directory);
+    return Promise.map(entries, async ({path: file, type}) => {
+        const {size} = await pify(fs.lstat)(path.join(directory, file));
+        return {path: file, type, size: type === 'file' ? size : 0};
+    }, {concurrency: CONCURRENCY});
+};
+
+/**
+ * Clone the given file (copy-on-write) if the filesystem supports it, or hardlink it otherwise (if allowed),
+ * falling back to a regular copy if neither is possible (e.g. across filesystems)
+ * @param {String} source
+ * @param {String} destination
+ * @param {Boolean} [hardlink = true] Whether the file may be hardlinked
+ * @returns {Promise.<String>} The method that was used: "clone", "hardlink" or "copy"
+ */
+const linkFile = async (source, destination, hardlink = true) => {
+    const attempts = [
+        ['clone', () => pify(fs.copyFile)(source, destination, COPYFILE_FICLONE_FORCE)],
+        ['hardlink', () => pify(fs.link)(source, destination)],
+    ].filter(([method]) => hardlink || method !== 'hardlink');
+    for (const [method, attempt] of attempts) {
+        try {
+            await attempt();
+            return method;
+        } catch (e) {
+            // Not supported, try the next method
+        }
+    }
+    await pify(fs.copyFile)(source, destination);
+    return 'copy';
+};
+
+/**
+ * Copy the given entry, preserving its type, mode and (optionally) mtime
+ * @param {String} source
+ * @param {String} destination
+ * @param {String} type "file", "symlink" or "directory"
+ * @param {Boolean} hardlink Whether files may be hardlinked if they can't be cloned
+ * @param {String} mtime Whether to preserve the "original" mtime, or set it to "now"
+ * @param {Function} progress Invoked with the size of every file that is copied
+ * @returns {Promise}
+ */
+const copyEntry = async (source, destination, type, hardlink, mtime, progress) => {
+
+    if (type === 'symlink') {
+        await mkdirp(path.dirname(destination));
+        return pify(fs.symlink)(await pify(fs.readlink)(source), destination);
+    }
+
+    const stat = await pify(fs.stat)(source);
+    let method = 'copy';
+
+    if (type === 'directory') await mkdirp(destination);
+    else {
+        await mkdirp(path.dirname(destination));
+
+        // A hardlink shares its inode (and thus its mode and mtime) with the cached file,
+        // so files are only hardlinked if they keep their original mtime
+        method = await linkFile(source, destination, hardlink && mtime === 'original');
+        progress(stat.size);
+    }
+
+    // Never touch the inode of the cached file
+    if (method === 'hardlink') return;
+
+    await pify(fs.chmod)(destination, stat.mode & 0o777);
+    if (mtime === 'original') await pify(fs.utimes)(destination, stat.atime, stat.mtime);
+};
+
+/**
+ * Unpacked layout: the output of an operation is stored as a plain directory tree in the workspace,
+ * which is restored by means of copy-on-write clones (falling back to copies, or to hardlinks if the
+ * operation opts in), so that restoring huge outputs (e.g. node_modules) is near-instant
+ *
+ * Note that files that were restored as hardlinks share their contents with the cached result,
+ * so modifying them in place corrupts the result (which the structural checksum may not catch)
+ */
+module.exports = {
+
+    // The tree only exists in the local workspace
+    isShareable: false,
+
+    getExtension() {
+        return 'tree';
+    },
+
+    getFilenames({filename}) {
+        return [filename];
+    },
+
+    /**
+     * Copy the files at the output of the given operation into the tree of the result
+     * The tree is written to a temporary "{filename}.partial" directory first and then renamed
+     * @param {Cache} cache
+     * @param {Operation} operation
+     * @param {Result} result
+     * @param {Function} [progress] Invoked with the size of every file that is copied
+     * @returns {Promise.<void>}
+     */
+    async write({cache, operation, result, progress = _.noop}) {
+
+        const directory = getDirectory(cache, result.filename);
+        const partial   = `${directory}.partial`;
+        const entries   = await listEntries(operation.output, operation.workingDirectory);
+
+        try {
+            await Promise.map(entries, ({path: file, type}) => copyEntry(
+                path.join(operation.workingDirectory, file),
+                path.join(partial, file),
+                type, false, 'original', progress
+            ), {concurrency: CONCURRENCY});
+
+            await mkdirp(partial);
+            await pify(fs.rename)(partial, directory);
+        } catch (e) {
+            await del(partial, {force: true});
+            throw e;
+        }
+
+        const structure = await getStructure(directory);
+
+        result.fileSize = _.sumBy(structure, 'size');
+        result.checksum = hasha(JSON.stringify(structure));
+    },
+
+    /**
+     * Verify the structure of the tree of the given result against its recorded checksum
+     * @param {Cache} cache
+     * @param {Result} result
+     * @returns {Promise.<String[]>} The names of the corrupted files
+     */
+    async verify({cache, result}) {
+        if (!result.checksum) return [];
+        const checksum = hasha(JSON.stringify(await getStructure(getDirectory(cache, result.filename))));
+        return checksum === result.checksum ? [] : [result.filename];
+    },
+
+    /**
+     * Restore the tree of the given result into its working directory
+     * @param {Cache} cache
+     * @param {Result} result
+     * @param {String} [mtime = 'original'] Whether to restore the original mtimes, or leave them at "now"
+     * @param {Boolean} [hardlink = false] Whether files may be restored as hardlinks if they can't be cloned
+     * @param {Function} [progress] Invoked with the size of every file that is restored
+     * @returns {Promise.<void>}
+     */
+    async restore({cache, result, mtime = 'original', hardlink = false, progress = _.noop}) {
+
+        const directory = getDirectory(cache, result.filename);
+        const entries   = await listEntries(['**'], directory);
+
+        await Promise.map(entries, ({path: file, type}) => copyEntry(
+            path.join(directory, file),
+            path.join(result.workingDirectory, file),
+            type, hardlink, mtime, progress
+        ), {concurrency: CONCURRENCY});
+    },
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+const fs         = require('fs');
+const crypto     = require('crypto');
+const assert     = require('assert');
+const path       = require('path');
+const pify       = require('pify');
+const mkdirp     = require('make-dir');
+const fsExtra    = require('fs-extra');
+const pathExists = require('path-exists');
+
+const Storage = require('./Storage');
+
+/**
+ * Default storage adapter, which keeps the archives in a local directory
+ * Files are written to a temporary "{filename}.{pid}-{random}.partial" file first and
+ * then renamed, so a file is never visible in a partially written state (and concurrent
+ * writers of the same file, e.g. of a shared blob, don't write to the same temporary file)
+ */
+class FileSystemStorage extends Storage {
+
+    /**
+     * @param {String} directory The directory to store the files in
+     */
+    constructor({directory}) {
+        super();
+        assert(directory);
+        this.directory = directory;
+    }
+
+    get isExclusive() {
+        return true;
+    }
+
+    async put(filename, readable) {
+        await mkdirp(this.directory);
+        const destination = this.getLocalPath(filename);
+        const partial     = `${destination}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.partial`;
+        const writeStream = fs.createWriteStream(partial);
+        try {
+            await new Promise((resolve, reject) => {
+                readable.on('error', reject);
+                writeStream.on('error', reject);
+                writeStream.on('close', resolve);
+                readable.pipe(writeStream);
+            });
+        } catch (e) {
+            writeStream.destroy();
+            await fsExtra.remove(partial);
+            throw e;
+        }
+        await pify(fs.rename)(partial, destination);
+    }
+
+    get(filename) {
+        return fs.createReadStream(this.getLocalPath(filename));
+    }
+
+    exists(filename) {
+        return pathExists(this.getLocalPath(filename));
+    }
+
+    /**
+     * Delete the given file, or directory (as stored by the "tree" layout)
+     * @param {String} filename
+     * @returns {Promise}
+     */
+    delete(filename) {
+        return fsExtra.remove(this.getLocalPath(filename));
+    }
+
+    /**
+     * List all (non-hidden) files and directories in the directory
+     * @returns {Promise.<String[]>}
+     */
+    async list() {
+        if (!await pathExists(this.directory)) return [];
+        const names = (await pify(fs.readdir)(this.directory)).filter(name => !name.startsWith('.'));
+        const stats = await Promise.all(names.map(name => pify(fs.stat)(this.getLocalPath(name)).catch(() => null)));
+        return names.filter((name, i) => stats[i] && (stats[i].isFile() || stats[i].isDirectory()));
+    }
+
+    getLocalPath(filename) {
+        assert(filename);
+        return path.join(this.directory, filename);
+    }
+}
+
+module.exports = FileSystemStorage;
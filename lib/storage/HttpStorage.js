@@ -0,0 +1,165 @@
+'use strict';
+
+const http        = require('http');
+const https       = require('https');
+const assert      = require('assert');
+const {URL}       = require('url');
+const PassThrough = require('stream').PassThrough;
+
+const Storage = require('./Storage');
+
+const readStream = require('../common/readStream');
+
+const isSuccessful = ({statusCode}) => statusCode >= 200 && statusCode < 300;
+
+/**
+ * Storage adapter that talks to a simple blob server:
+ *  - PUT    {url}/{filename} stores a file
+ *  - GET    {url}/{filename} retrieves a file
+ *  - HEAD   {url}/{filename} checks whether a file exists
+ *  - DELETE {url}/{filename} removes a file
+ *  - GET    {url}/ responds with a JSON array of all filenames
+ */
+class HttpStorage extends Storage {
+
+    /**
+     * @param {String} url The base url of the blob server
+     * @param {Object} [headers = {}] Additional headers to send along with every request (e.g. for authorization)
+     */
+    constructor({url, headers = {}}) {
+        super();
+        assert(url);
+        this.url     = url.endsWith('/') ? url : `${url}/`;
+        this.headers = headers;
+    }
+
+    /**
+     * Get the url for the given filename
+     * @param {String} [filename = '']
+     * @returns {URL}
+     */
+    getUrl(filename = '') {
+        return new URL(encodeURIComponent(filename), this.url);
+    }
+
+    /**
+     * Create a request to the blob server
+     * @param {String} method
+     * @param {String} filename
+     * @param {Function} callback Invoked with the response
+     * @returns {http.ClientRequest}
+     */
+    createRequest(method, filename, callback) {
+        const url       = this.getUrl(filename);
+        const transport = url.protocol === 'https:' ? https : http;
+        return transport.request({
+            protocol: url.protocol,
+            hostname: url.hostname,
+            port:     url.port,
+            path:     url.pathname + url.search,
+            headers:  this.headers,
+            method,
+        }, callback);
+    }
+
+    /**
+     * Perform a request without a body
+     * @param {String} method
+     * @param {String} [filename]
+     * @returns {Promise.<http.IncomingMessage>}
+     */
+    send(method, filename) {
+        return new Promise((resolve, reject) => {
+            this.createRequest(method, filename, resolve)
+                .on('error', reject)
+                .end();
+        });
+    }
+
+    /**
+     * Create an error for an unexpected response
+     * @param {String} method
+     * @param {String} filename
+     * @param {http.IncomingMessage} response
+     * @returns {Error}
+     */
+    createError(method, filename, response) {
+        response.resume();
+        return new Error(`Unexpected status ${response.statusCode} for ${method} ${this.getUrl(filename)}`);
+    }
+
+    put(filename, readable) {
+        return new Promise((resolve, reject) => {
+            const request = this.createRequest('PUT', filename, response => {
+                if (isSuccessful(response)) {
+                    response.resume();
+                    response.on('end', resolve);
+                } else reject(this.createError('PUT', filename, response));
+            });
+            request.on('error', reject);
+            readable.on('error', error => {
+                // Abort the upload, rather than leaving the connection open
+                request.destroy(error);
+                reject(error);
+            });
+            readable.pipe(request);
+        });
+    }
+
+    /**
+     * Get a readable stream for the given file, which errors if the connection drops
+     * before the whole body (as announced by the "content-length" header) was received
+     * @param {String} filename
+     * @returns {stream.Readable}
+     */
+    get(filename) {
+        const pass = new PassThrough();
+        let failed = false;
+
+        const fail = error => {
+            if (failed) return;
+            failed = true;
+            pass.emit('error', error);
+        };
+
+        this.send('GET', filename).then(response => {
+            if (response.statusCode !== 200) return fail(this.createError('GET', filename, response));
+
+            const expected   = Number(response.headers['content-length']);
+            const incomplete = () => new Error(`Incomplete response for GET ${this.getUrl(filename)} (received ${received} of ${expected || 'unknown'} bytes)`);
+            let received     = 0;
+
+            response.on('data', chunk => received += chunk.length);
+            response.on('error', fail);
+            response.on('aborted', () => fail(incomplete()));
+            response.on('close', () => response.complete || fail(incomplete()));
+            response.on('end', () => received < expected ? fail(incomplete()) : pass.end());
+            response.pipe(pass, {end: false});
+        }, fail);
+
+        return pass;
+    }
+
+    async exists(filename) {
+        const response = await this.send('HEAD', filename);
+        response.resume();
+        if (response.statusCode === 404) return false;
+        if (isSuccessful(response)) return true;
+        throw this.createError('HEAD', filename, response);
+    }
+
+    async delete(filename) {
+        const response = await this.send('DELETE', filename);
+        if (!isSuccessful(response) && response.statusCode !== 404)
+            throw this.createError('DELETE', filename, response);
+        response.resume();
+    }
+
+    async list() {
+        const response = await this.send('GET');
+        if (!isSuccessful(response)) throw this.createError('GET', '', response);
+        return JSON.parse((await readStream(response)).toString());
+    }
+}
+
+module.exports = HttpStorage;
@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * Describes the interface of a storage adapter, which is
+ * responsible for persisting the archives of cached results
+ */
+class Storage {
+
+    /**
+     * Whether the stored files belong to a single cache (workspace), in which case the files
+     * that are not in its index can safely be purged. Other caches may write to a remote store
+     * @returns {Boolean}
+     */
+    get isExclusive() {
+        return false;
+    }
+
+    /**
+     * Write the contents of the given readable stream to the file with the given name
+     * @param {String} filename
+     * @param {stream.Readable} readable
+     * @returns {Promise.<void>}
+     */
+    put() {
+        return Promise.reject(new Error('Storage adapter does not implement "put"'));
+    }
+
+    /**
+     * Get a readable stream for the file with the given name
+     * @param {String} filename
+     * @returns {stream.Readable}
+     */
+    get() {
+        throw new Error('Storage adapter does not implement "get"');
+    }
+
+    /**
+     * Check whether a file with the given name exists
+     * @param {String} filename
+     * @returns {Promise.<boolean>}
+     */
+    exists() {
+        return Promise.reject(new Error('Storage adapter does not implement "exists"'));
+    }
+
+    /**
+     * Delete the file with the given name (if it exists)
+     * @param {String} filename
+     * @returns {Promise.<void>}
+     */
+    delete() {
+        return Promise.reject(new Error('Storage adapter does not implement "delete"'));
+    }
+
+    /**
+     * List the names of all stored files
+     * @returns {Promise.<String[]>}
+     */
+    list() {
+        return Promise.reject(new Error('Storage adapter does not implement "list"'));
+    }
+
+    /**
+     * Get the path at which the file with the given name can be accessed on the local filesystem,
+     * or null if the adapter does not store its files locally
+     * @param {String} filename
+     * @returns {String|null}
+     */
+    getLocalPath() {
+        return null;
+    }
+}
+
+module.exports = Storage;
@@ -0,0 +1,97 @@
+'use strict';
+
+const zlib        = require('zlib');
+const PassThrough = require('stream').PassThrough;
+
+const {isPlainObject, isString} = require('lodash');
+
+/**
+ * Supported codecs, along with the way the compression level is passed to zlib
+ * (zstd is only available on node.js versions that ship it in zlib)
+ */
+const codecs = {
+    gzip: {
+        extension:  'tar.gz',
+        compress:   level => zlib.createGzip(level === null ? {} : {level}),
+        decompress: () => zlib.createGunzip(),
+    },
+    brotli: {
+        extension:  'tar.br',
+        compress:   level => zlib.createBrotliCompress(level === null ? {} : {
+            params: {[zlib.constants.BROTLI_PARAM_QUALITY]: level},
+        }),
+        decompress: () => zlib.createBrotliDecompress(),
+        available:  () => !!zlib.createBrotliCompress,
+    },
+    zstd: {
+        extension:  'tar.zst',
+        compress:   level => zlib.createZstdCompress(level === null ? {} : {
+            params: {[zlib.constants.ZSTD_c_compressionLevel]: level},
+        }),
+        decompress: () => zlib.createZstdDecompress(),
+        available:  () => !!zlib.createZstdCompress,
+    },
+};
+
+/**
+ * Get the codec with the given name
+ * @param {String} codec
+ * @returns {Object}
+ */
+const getCodec = codec => {
+    if (!codecs[codec]) throw new Error(`Unknown compression codec "${codec}"`);
+    if (codecs[codec].available && !codecs[codec].available())
+        throw new Error(`The "${codec}" compression codec is not supported by this version of node.js`);
+    return codecs[codec];
+};
+
+/**
+ * Normalize the "compress" option, which accepts a boolean, a codec name or a {codec, level} object
+ * @param {Boolean|String|{codec: String, level: Number}} compress
+ * @returns {{codec: String, level: Number|null}|false}
+ */
+const normalize = compress => {
+    if (!compress) return false;
+    if (compress === true) return {codec: 'gzip', level: null};
+    if (isString(compress)) compress = {codec: compress};
+    if (!isPlainObject(compress)) throw new Error('The "compress" option should be a boolean, a codec name or a {codec, level} object');
+
+    const {codec = 'gzip', level = null} = compress;
+    getCodec(codec);
+    return {codec, level};
+};
+
+module.exports = {
+
+    normalize,
+
+    /**
+     * Get the file extension for archives compressed with the given settings
+     * @param {Boolean|String|Object} compress
+     * @returns {String}
+     */
+    getExtension(compress) {
+        compress = normalize(compress);
+        return compress ? getCodec(compress.codec).extension : 'tar';
+    },
+
+    /**
+     * Create a stream that compresses its input with the given settings
+     * @param {Boolean|String|Object} compress
+     * @returns {stream.Duplex}
+     */
+    createCompressStream(compress) {
+        compress = normalize(compress);
+        return compress ? getCodec(compress.codec).compress(compress.level) : new PassThrough();
+    },
+
+    /**
+     * Create a stream that decompresses data compressed with the given settings
+     * @param {Boolean|String|Object} compress
+     * @returns {stream.Duplex}
+     */
+    createDecompressStream(compress) {
+        compress = normalize(compress);
+        return compress ? getCodec(compress.codec).decompress() : new PassThrough();
+    },
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Compare two {path: hash} maps
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {{added: String[], removed: String[], changed: String[]}|null} Null if both are identical
+ */
+module.exports = (before, after) => {
+    const added   = _.difference(_.keys(after), _.keys(before));
+    const removed = _.difference(_.keys(before), _.keys(after));
+    const changed = _.filter(_.intersection(_.keys(before), _.keys(after)), file => before[file] !== after[file]);
+    return added.length || removed.length || changed.length ? {added, removed, changed} : null;
+};
@@ -0,0 +1,150 @@
+'use strict';
+
+const _ = require('lodash');
+
+const getTotalSize = require('./getTotalSize');
+
+const sizeUnits = ['B', 'kB', 'MB', 'GB', 'TB'];
+
+module.exports = {
+
+    /**
+     * Format the given number of bytes in a human readable manner
+     * @param {Number} bytes
+     * @returns {String}
+     */
+    bytes(bytes) {
+        if (!_.isNumber(bytes)) return '-';
+        const exponent = Math.min(Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)), sizeUnits.length - 1);
+        const value    = bytes / Math.pow(1024, exponent);
+        return `${exponent ? value.toFixed(1) : value} ${sizeUnits[exponent]}`;
+    },
+
+    /**
+     * Format the given timestamp
+     * @param {Number} timestamp
+     * @returns {String}
+     */
+    date(timestamp) {
+        return _.isNumber(timestamp) && timestamp !== -1 ? new Date(timestamp).toISOString() : '-';
+    },
+
+    /**
+     * Format the given number of milliseconds in a human readable manner
+     * @param {Number} ms
+     * @returns {String}
+     */
+    duration(ms) {
+        if (!_.isNumber(ms)) return '-';
+        const sign    = ms < 0 ? '-' : '';
+        const seconds = Math.abs(ms) / 1000;
+        if (seconds < 1) return `${sign}${Math.abs(ms)} ms`;
+        if (seconds < 60) return `${sign}${seconds.toFixed(1)} s`;
+        return `${sign}${Math.floor(seconds / 60)} min ${Math.floor(seconds % 60)} s`;
+    },
+
+    /**
+     * Format the given fraction as a percentage
+     * @param {Number|null} fraction
+     * @returns {String}
+     */
+    percentage(fraction) {
+        return _.isNumber(fraction) ? `${Math.round(fraction * 100)}%` : '-';
+    },
+
+    /**
+     * Render the given rows as a table with aligned columns
+     * @param {String[]} headers
+     * @param {String[][]} rows
+     * @returns {String}
+     */
+    table(headers, rows) {
+        const all    = [headers].concat(rows).map(row => row.map(String));
+        const widths = headers.map((header, i) => _.max(all.map(row => row[i].length)));
+        return all
+            .map(row => _.trimEnd(row.map((cell, i) => _.padEnd(cell, widths[i])).join('  ')))
+            .join('\n');
+    },
+
+    /**
+     * Render the given results as a table
+     * @param {Result[]} results
+     * @returns {String}
+     */
+    results(results) {
+        return module.exports.table(['ID', 'ACTION', 'SIZE', 'CREATED', 'EXPIRES'], results.map(result => [
+            result.id.substring(0, 8),
+            result.action,
+            module.exports.bytes(getTotalSize([result])),
+            module.exports.date(result.created),
+            module.exports.date(result.expires),
+        ]));
+    },
+
+    /**
+     * Render the given cache statistics (see Cache.stats) as a report, with a row per action and the totals
+     * @param {{since: Number|null, actions: Object, total: Object}} stats
+     * @returns {String}
+     */
+    stats({since, actions, total}) {
+        const row = (action, stats) => [
+            action,
+            stats.hits,
+            stats.misses,
+            stats.audits,
+            module.exports.percentage(stats.hitRate),
+            module.exports.duration(stats.timeSaved),
+            module.exports.duration(stats.runTime),
+            module.exports.bytes(stats.bytesStored),
+            module.exports.bytes(stats.bytesEvicted),
+        ];
+        const table = module.exports.table(
+            ['ACTION', 'HITS', 'MISSES', 'AUDITS', 'HIT RATE', 'TIME SAVED', 'RUN TIME', 'STORED', 'EVICTED'],
+            _.map(_.sortBy(_.keys(actions)), action => row(action, actions[action])).concat([row('(total)', total)])
+        );
+        return `Since ${module.exports.date(since)}\n\n${table}`;
+    },
+
+    /**
+     * Render the given CacheFlow plan (see CacheFlow.plan) as a table
+     * @param {Object[]} plan
+     * @returns {String}
+     */
+    plan(plan) {
+        return module.exports.table(['STEP', 'STATUS', 'REASON'], plan.map(({name, status, reason}) => [
+            name,
+            status.toUpperCase(),
+            reason,
+        ]));
+    },
+
+    /**
+     * Render all the properties of the given result
+     * @param {Result} result
+     * @returns {String}
+     */
+    details(result) {
+        return module.exports.table(['PROPERTY', 'VALUE'], _.map(module.exports.serialize(result), (value, key) => [
+            key,
+            _.isObject(value) ? JSON.stringify(value) : value,
+        ]));
+    },
+
+    /**
+     * Get a plain object representation of the given result
+     * @param {Result} result
+     * @returns {Object}
+     */
+    serialize(result) {
+        return {id: result.id, ...result.toDocument()};
+    },
+
+    /**
+     * Render the given value as JSON
+     * @param {*} value
+     * @returns {String}
+     */
+    json(value) {
+        return JSON.stringify(value, null, 2);
+    },
+};
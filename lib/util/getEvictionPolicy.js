@@ -0,0 +1,35 @@
+'use strict';
+
+const getScoreForResult = require('./getScoreForResult');
+
+/**
+ * Built-in eviction policies, each of which maps a result to a score
+ * (results with the lowest scores are evicted first)
+ */
+const policies = {
+
+    // Weigh the age, size and runtime of a result, and whether it's superseded by a newer one
+    score: getScoreForResult,
+
+    // Least recently used (restored or stored)
+    lru: result => result.lastAccess || result.created,
+
+    // Least frequently used (restored)
+    lfu: result => result.hits || 0,
+
+    // First in, first out
+    fifo: result => result.created,
+};
+
+/**
+ * Get the scoring function for the given eviction policy
+ * @param {String|Function} [policy = 'score'] The name of a built-in policy, or a custom
+ *   function that is invoked as policy(result, allResults) and returns a score
+ * @returns {Function}
+ */
+module.exports = (policy = 'score') => {
+    if (typeof policy === 'function') return policy;
+    if (!Object.prototype.hasOwnProperty.call(policies, policy))
+        throw new Error(`Unknown eviction policy "${policy}", expected one of ${Object.keys(policies).join(', ')} or a function`);
+    return policies[policy];
+};
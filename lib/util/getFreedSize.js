@@ -0,0 +1,19 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Get the number of bytes that would be freed up by removing the given result,
+ * i.e. its own file size plus the size of the blobs no other remaining result refers to
+ * @param {Result} result
+ * @param {Result[]} remainingResults
+ * @returns {Number}
+ */
+module.exports = (result, remainingResults) => {
+
+    if (!result.blobs) return result.fileSize;
+
+    const referenced = new Set(_.flatMap(remainingResults, other => _.keys(other.blobs)));
+
+    return result.fileSize + _.sum(_.map(result.blobs, (size, hash) => referenced.has(hash) ? 0 : size));
+};
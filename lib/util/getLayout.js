@@ -0,0 +1,18 @@
+'use strict';
+
+const layouts = {
+    archive: require('../layouts/archive'),
+    dedupe:  require('../layouts/dedupe'),
+    tree:    require('../layouts/tree'),
+};
+
+/**
+ * Get the layout with the given name, which determines how the output of an operation is stored
+ * @param {String} [name = 'archive']
+ * @returns {Object}
+ */
+module.exports = (name = 'archive') => {
+    const layout = layouts[name || 'archive'];
+    if (!layout) throw new Error(`Unknown layout "${name}"`);
+    return layout;
+};
@@ -3,31 +3,41 @@
 const _ = require('lodash');
 
 const getScoreForResult = require('./getScoreForResult');
+const getFreedSize      = require('./getFreedSize');
 
 /**
- * Get the results that should be removed to maintain the maximum allowed cache size
+ * Get the results that should be removed to maintain the maximum allowed cache size (and number of results)
+ * Pinned results are never removed, but they do count towards the size and number of results
  * @param {Result[]} results
  * @param allowedMaxSize
  * @param currentTotalSize
+ * @param {Function} [getScore] Maps a result to a score, results with the lowest score are removed first
+ *   (see getEvictionPolicy). Defaults to getScoreForResult
+ * @param {Number} [allowedMaxCount = Infinity]
  * @returns {Result[]}
  */
-module.exports = (results, allowedMaxSize, currentTotalSize) => {
+module.exports = (results, allowedMaxSize, currentTotalSize, getScore = module.exports.getScore, allowedMaxCount = Infinity) => {
 
-    if (currentTotalSize <= allowedMaxSize) return [];
+    let currentCount = _.size(results);
 
-    let mappedResults = _.map(results, result => {
-        const score = module.exports.getScore(result, results);
+    if (currentTotalSize <= allowedMaxSize && currentCount <= allowedMaxCount) return [];
+
+    let [pinned, candidates] = _.partition(results, 'pinned');
+
+    let mappedResults = _.map(candidates, result => {
+        const score = getScore(result, results);
         return {result, score};
     });
 
     let sortedResults = _.map(_.sortBy(mappedResults, 'score'), 'result');
     let remove        = [];
-    while (currentTotalSize > allowedMaxSize && sortedResults.length) {
+    while ((currentTotalSize > allowedMaxSize || currentCount > allowedMaxCount) && sortedResults.length) {
         let removeOne = sortedResults.shift();
         remove.push(removeOne);
-        currentTotalSize -= removeOne.fileSize;
+        currentCount--;
+        currentTotalSize -= getFreedSize(removeOne, sortedResults.concat(pinned));
     }
     return remove;
 };
 
-module.exports.getScore = getScoreForResult;
\ No newline at end of file
+module.exports.getScore = getScoreForResult;
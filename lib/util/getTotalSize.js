@@ -0,0 +1,14 @@
+'use strict';
+
+const _ = require('lodash');
+
+/**
+ * Get the total size of the given results, where blobs that are referenced
+ * by multiple results (in the "dedupe" layout) are only counted once
+ * @param {Result[]} results
+ * @returns {Number}
+ */
+module.exports = results => {
+    const blobs = _.assign({}, ..._.map(results, result => result.blobs || {}));
+    return _.sumBy(results, 'fileSize') + _.sum(_.values(blobs));
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+const fs      = require('fs');
+const path    = require('path');
+const pify    = require('pify');
+const hasha   = require('hasha');
+const Promise = require('bluebird');
+
+const listEntries = require('./listEntries');
+
+// The number of files that are hashed simultaneously
+const CONCURRENCY = 8;
+
+/**
+ * Get the hash of the given entry: the content hash of a file, or a description of a symlink or empty directory
+ * @param {String} cwd
+ * @param {{path: String, type: String}} entry
+ * @returns {Promise.<String>}
+ */
+const hashEntry = async (cwd, {path: file, type}) => {
+    const absolute = path.join(cwd, file);
+    if (type === 'symlink') return `symlink:${await pify(fs.readlink)(absolute)}`;
+    if (type === 'directory') return 'directory';
+    return hasha.fromFile(absolute, {algorithm: 'sha256'});
+};
+
+/**
+ * Get the content hash of every entry matching the given patterns
+ * @param {String[]} patterns Files, directories or globs
+ * @param {String} cwd
+ * @returns {Promise.<Object>} A {path: hash} map, ordered by path
+ */
+module.exports = async (patterns, cwd) => {
+    const entries = await listEntries(patterns, cwd);
+    const hashes  = await Promise.map(entries, entry => hashEntry(cwd, entry), {concurrency: CONCURRENCY});
+    return entries.reduce((obj, {path: file}, i) => {
+        obj[file] = hashes[i];
+        return obj;
+    }, {});
+};
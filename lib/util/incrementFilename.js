@@ -1,7 +1,6 @@
 'use strict';
 
 const path         = require('path');
-const pathExists   = require('path-exists');
 const promiseRetry = require('promise-retry');
 
 const basenameWithoutExtension = require('../common/basenameWithoutExtension');
@@ -11,11 +10,11 @@ const basenameWithoutExtension = require('../common/basenameWithoutExtension');
  * until no other result with the same filename exists
  *
  * @param {String} filename
- * @param {Function} getAbsolutePath
+ * @param {Function} exists Should return a promise for whether a file with the given name exists
  *
  * @returns {Promise}
  */
-module.exports = async ({filename, getAbsolutePath}) => {
+module.exports = async ({filename, exists}) => {
 
     const baseName = basenameWithoutExtension(filename);
     const ext      = path.extname(filename);
@@ -25,9 +24,7 @@ module.exports = async ({filename, getAbsolutePath}) => {
 
     await promiseRetry(async retry => {
         updatedFilename = baseName + (increment ? ('-' + increment) : '') + ext;
-        const filename  = getAbsolutePath(updatedFilename);
-        const exists    = await pathExists(filename);
-        if (exists) {
+        if (await exists(updatedFilename)) {
             increment++;
             retry(new Error('file exists'));
         }
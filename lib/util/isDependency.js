@@ -1,24 +1,111 @@
 'use strict';
 
-const {some, startsWith, trimEnd} = require('lodash');
+const path       = require('path');
+const micromatch = require('micromatch');
+const _          = require('lodash');
+
+const MATCH_OPTIONS = {dot: true};
+
+const isGlob = segment => micromatch.scan(segment).isGlob;
+
+/**
+ * Normalize the given input / output patterns: leave out env ($VAR) and function inputs,
+ * expand braces and resolve the patterns relative to the given directory
+ * @param {Array} patterns
+ * @param {String} directory
+ * @returns {{positive: String[], negative: String[]}} The (absolute, slash-separated) patterns and negations
+ */
+const normalize = (patterns, directory) => {
+    const globs = _.flatMap(patterns.filter(pattern => _.isString(pattern) && !pattern.startsWith('$')), pattern => {
+        const negated = pattern.startsWith('!');
+        return micromatch.braces(negated ? pattern.substring(1) : pattern, {expand: true}).map(glob => ({
+            glob: path.resolve(directory, glob).split(path.sep).join('/'),
+            negated,
+        }));
+    });
+    const [negative, positive] = _.partition(globs, 'negated');
+    return {positive: _.map(positive, 'glob'), negative: _.map(negative, 'glob')};
+};
+
+/**
+ * Check whether two path segments may match the same name
+ * Two wildcard segments are considered to overlap unless their literal prefixes or suffixes rule it out
+ * @param {String} a
+ * @param {String} b
+ * @returns {Boolean}
+ */
+const segmentsOverlap = (a, b) => {
+    if (!isGlob(a) && !isGlob(b)) return a === b;
+    if (!isGlob(a)) return micromatch.isMatch(a, b, MATCH_OPTIONS);
+    if (!isGlob(b)) return micromatch.isMatch(b, a, MATCH_OPTIONS);
+
+    const [prefixA, prefixB] = [a, b].map(segment => segment.split(/[*?[({!+@]/)[0]);
+    const [suffixA, suffixB] = [a, b].map(segment => _.last(segment.split(/[*?\])}]/)));
+    return (prefixA.startsWith(prefixB) || prefixB.startsWith(prefixA)) &&
+        (suffixA.endsWith(suffixB) || suffixB.endsWith(suffixA));
+};
+
+/**
+ * Check whether the given (split) patterns may match the same path
+ * A pattern that runs out of segments may name a directory, which contains whatever the other one matches
+ * @param {String[]} a
+ * @param {String[]} b
+ * @returns {Boolean}
+ */
+const segmentListsOverlap = (a, b) => {
+    if (!a.length || !b.length) return true;
+    if (a[0] === '**') return segmentListsOverlap(a.slice(1), b) || segmentListsOverlap(a, b.slice(1));
+    if (b[0] === '**') return segmentListsOverlap(b, a);
+    return segmentsOverlap(a[0], b[0]) && segmentListsOverlap(a.slice(1), b.slice(1));
+};
+
+const overlaps = (a, b) => segmentListsOverlap(a.split('/'), b.split('/'));
+
+/**
+ * Check whether everything the given glob matches is matched by the given pattern (or is inside a directory it matches)
+ * @param {String} pattern
+ * @param {String} glob
+ * @returns {Boolean}
+ */
+const covers = (pattern, glob) => micromatch.isMatch(glob, [pattern, `${pattern}/**`], MATCH_OPTIONS);
 
 /**
  * Check whether (some of) the output of the intermediate operation is needed
- * as (some of) the input for the final operation
- * @param inputFiles
- * @param outputFiles
+ * as (some of) the input for the final operation, i.e. whether any of the input patterns
+ * overlaps with any of the output patterns (in either direction, as both may name directories)
+ * Negated patterns rule out the overlap with the patterns they cover
+ * @param {Array} inputFiles
+ * @param {Array} outputFiles
+ * @param {String} [inputDirectory = process.cwd()] The directory the input patterns are relative to
+ * @param {String} [outputDirectory = inputDirectory] The directory the output patterns are relative to
+ * @returns {Boolean}
  */
-const isDependency = (inputFiles, outputFiles) => {
+const isDependency = (inputFiles, outputFiles, inputDirectory = process.cwd(), outputDirectory = inputDirectory) => {
+    const input  = normalize(inputFiles, inputDirectory);
+    const output = normalize(outputFiles, outputDirectory);
 
-    // Iterate over all the input files and return true if
-    // at least one of them evaluates to true given the predicate
-    return some(inputFiles, inputFile => {
+    return input.positive.some(inputGlob => output.positive.some(outputGlob => overlaps(inputGlob, outputGlob) &&
+        !input.negative.some(negation => covers(negation, outputGlob)) &&
+        !output.negative.some(negation => covers(negation, inputGlob))));
+};
 
-        return some(outputFiles, outputFile => {
+/**
+ * Check whether all of the given input is produced by the given output,
+ * i.e. whether every input pattern is covered by an output pattern (and by none of its negations)
+ * @param {Array} inputFiles
+ * @param {Array} outputFiles
+ * @param {String} [inputDirectory = process.cwd()]
+ * @param {String} [outputDirectory = inputDirectory]
+ * @returns {Boolean}
+ */
+const isProducedBy = (inputFiles, outputFiles, inputDirectory = process.cwd(), outputDirectory = inputDirectory) => {
+    const input  = normalize(inputFiles, inputDirectory);
+    const output = normalize(outputFiles, outputDirectory);
 
-            return startsWith(inputFile, trimEnd(outputFile, '*'));
-        });
-    });
+    return input.positive.length > 0 && input.positive.every(inputGlob =>
+        output.positive.some(outputGlob => covers(outputGlob, inputGlob)) &&
+        !output.negative.some(negation => overlaps(negation, inputGlob)));
 };
 
-module.exports = isDependency;
\ No newline at end of file
+module.exports              = isDependency;
+module.exports.isProducedBy = isProducedBy;
@@ -0,0 +1,36 @@
+'use strict';
+
+const fs      = require('fs');
+const path    = require('path');
+const pify    = require('pify');
+const globby  = require('globby');
+const Promise = require('bluebird');
+
+/**
+ * Check whether the directory at the given path is empty
+ * @param {String} directory
+ * @returns {Promise.<Boolean>}
+ */
+const isEmpty = async directory => (await pify(fs.readdir)(directory)).length === 0;
+
+/**
+ * Get the entries matching the given patterns: regular files, symlinks (which are not followed)
+ * and empty directories. Directories that are not empty are represented by the entries they contain
+ * @param {String[]} patterns Files, directories or globs
+ * @param {String} cwd
+ * @returns {Promise.<{path: String, type: String}[]>} The entries, ordered by path,
+ *   where "type" is either "file", "symlink" or "directory"
+ */
+module.exports = async (patterns, cwd) => {
+    const matches = await globby(patterns, {cwd, dot: true, onlyFiles: false, followSymbolicLinks: false, objectMode: true});
+
+    const entries = await Promise.filter(matches, ({path: file, dirent}) =>
+        !dirent.isDirectory() || isEmpty(path.join(cwd, file)));
+
+    return entries
+        .map(({path: file, dirent}) => ({
+            path: file,
+            type: dirent.isSymbolicLink() ? 'symlink' : dirent.isDirectory() ? 'directory' : 'file',
+        }))
+        .sort((a, b) => a.path < b.path ? -1 : 1);
+};
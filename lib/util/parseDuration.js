@@ -0,0 +1,21 @@
+'use strict';
+
+const units = {
+    ms: 1,
+    s:  1000,
+    m:  60 * 1000,
+    h:  60 * 60 * 1000,
+    d:  24 * 60 * 60 * 1000,
+    w:  7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse the given duration (e.g. "500", "30s", "12h" or "7d") into milliseconds
+ * @param {String|Number} duration
+ * @returns {Number}
+ */
+module.exports = duration => {
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/.exec(String(duration).trim());
+    if (!match) throw new Error(`Invalid duration "${duration}"`);
+    return Number(match[1]) * units[match[2] || 'ms'];
+};
@@ -0,0 +1,14 @@
+'use strict';
+
+const parseFilesize = require('filesize-parser');
+
+/**
+ * Normalize the given quota, parsing a human readable maxSize (e.g. "1gb")
+ * Limits that are omitted (or null) are unlimited
+ * @param {{maxSize: Number|String|null, maxCount: Number|null}} quota
+ * @returns {{maxSize: Number|null, maxCount: Number|null}}
+ */
+module.exports = ({maxSize = null, maxCount = null} = {}) => ({
+    maxSize:  maxSize === null ? null : parseFilesize(maxSize),
+    maxCount: maxCount === null ? null : Number(maxCount),
+});
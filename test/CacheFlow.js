@@ -91,4 +91,231 @@ describe('CacheFlow', () => {
         (await pathExists(intermediateFile)).should.be.false;
         (await pathExists(targetFile)).should.be.true;
     });
-});
\ No newline at end of file
+
+    describe('transitive intermediate steps', () => {
+
+        const chainSource = 'test/sample/chain/src.txt';
+        const compiled    = 'test/sample/build/compiled.txt';
+        const bundled     = 'test/sample/build/bundle.txt';
+        const minified    = 'test/sample/build/min.txt';
+
+        let runs;
+
+        const chainIntent = (action, from, to, key = {}) => new Intent(async () => {
+            runs.push(action);
+            await fsCopy(from, to);
+        }, {action, input: [from], output: [to], key});
+
+        // compile > bundle > minify, of which only "minify" is not intermediate
+        const chain = (minifyKey = {}) => [
+            {intent: chainIntent('compile', chainSource, compiled), isIntermediate: true},
+            {intent: chainIntent('bundle', compiled, bundled), isIntermediate: true},
+            {intent: chainIntent('minify', bundled, minified, minifyKey)},
+        ];
+
+        const rerun = async steps => {
+            await deleteBuild();
+            runs = [];
+            cacheFlow.clear();
+            await cacheFlow.add(steps);
+            return cacheFlow.steps.map(({statusName}) => statusName);
+        };
+
+        beforeEach(async () => {
+            runs = [];
+            await fsExtra.outputFile(chainSource, 'source');
+            await cacheFlow.add(chain());
+            await cacheFlow.run();
+        });
+
+        afterEach(() => del(['test/sample/chain']));
+
+        it('should restore the final output of a chain without any intermediate work on a clean checkout', async () => {
+            (await rerun(chain())).should.deep.equal(['skip', 'skip', 'restore']);
+            cacheFlow.steps[0].forward.should.deep.equal([cacheFlow.steps[2]]);
+
+            await cacheFlow.run();
+
+            runs.should.deep.equal([]);
+            (await pathExists(compiled)).should.be.false;
+            (await pathExists(bundled)).should.be.false;
+            (await fsExtra.readFile(minified, 'utf8')).should.equal('source');
+        });
+
+        it('should derive the input hash of a step from the keys of its upstream steps', async () => {
+            const [compile, bundle] = cacheFlow.steps.map(({operation}) => operation);
+            bundle.keyParts.upstream.should.deep.equal([{action: 'compile', ...compile.hashes}]);
+
+            await fsExtra.outputFile(chainSource, 'changed');
+            (await rerun(chain())).should.deep.equal(['run', 'run', 'run']);
+
+            await cacheFlow.run();
+
+            runs.should.deep.equal(['compile', 'bundle', 'minify']);
+            (await fsExtra.readFile(minified, 'utf8')).should.equal('changed');
+        });
+
+        it('should not restore the steps downstream of a step whose action changed', async () => {
+            const steps = chain();
+            steps[0].intent = chainIntent('transpile', chainSource, compiled);
+            (await rerun(steps)).should.deep.equal(['run', 'run', 'run']);
+
+            await cacheFlow.run();
+
+            runs.should.deep.equal(['transpile', 'bundle', 'minify']);
+        });
+
+        it('should only run or restore the intermediate steps that are needed', async () => {
+            (await rerun(chain({version: 2}))).should.deep.equal(['skip', 'restore', 'run']);
+            cacheFlow.steps[0].forward.should.deep.equal([cacheFlow.steps[1]]);
+
+            await cacheFlow.run();
+
+            runs.should.deep.equal(['minify']);
+            (await pathExists(compiled)).should.be.false;
+            (await fsExtra.readFile(minified, 'utf8')).should.equal('source');
+        });
+    });
+
+    describe('plan', () => {
+
+        const keyedIntent = version => new Intent(() => fsCopy(sourceFile, targetFile), {
+            action: 'keyed',
+            input:  [sourceFile],
+            output: [targetFile],
+            key:    {version},
+        });
+
+        it('should preview what running the flow would do without running anything', async () => {
+            await cacheFlow.add(copyStepsWithIntermediate().concat({intent: new Intent(sinon.spy(), null), name: 'notify'}));
+
+            const plan = await cacheFlow.plan();
+            plan.map(({status}) => status).should.deep.equal(['run', 'run', 'run']);
+            plan[1].reason.should.equal(`no cached result for input hash ${plan[1].inputHash.substring(0, 8)}`);
+            plan[1].dependsOn.should.deep.equal([plan[0].name]);
+            plan[2].should.include({name: 'notify', action: null, reason: 'not cacheable', inputHash: null, result: null});
+            JSON.parse(JSON.stringify(plan)).should.deep.equal(plan);
+
+            (await pathExists(intermediateFile)).should.be.false;
+        });
+
+        it('should explain why steps are restored or skipped', async () => {
+            await cacheFlow.add(copyStepsWithIntermediate());
+            await cacheFlow.run();
+            await deleteBuild();
+
+            cacheFlow.clear();
+            await cacheFlow.add(copyStepsWithIntermediate());
+
+            const [intermediate, final] = await cacheFlow.plan();
+            intermediate.should.include({status: 'skip', reason: `skipped because "${final.name}" will be restored`});
+            final.should.include({status: 'restore', reason: `cached result ${final.result.id.substring(0, 8)} found in the local tier`});
+        });
+
+        it('should tell if the input hash changed', async () => {
+            await cacheFlow.add([{intent: keyedIntent(1)}]);
+            await cacheFlow.run();
+
+            cacheFlow.clear();
+            await cacheFlow.add([{intent: keyedIntent(2)}]);
+
+            const [{reason}] = await cacheFlow.plan();
+            reason.should.match(/^input hash changed from \w{8} to \w{8}$/);
+        });
+    });
+
+    describe('dependency graph', () => {
+
+        const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+        // Non-cacheable steps that keep track of the order they start and finish in
+        let log, active, maxActive;
+
+        const step = (name, options = {}) => ({
+            name,
+            intent: new Intent(async () => {
+                log.push(`start ${name}`);
+                maxActive = Math.max(maxActive, ++active);
+                await delay(options.delay || 10);
+                active--;
+                if (options.fail) throw new Error(`${name} failed`);
+                log.push(`end ${name}`);
+            }),
+            dependsOn: options.dependsOn,
+        });
+
+        beforeEach(() => {
+            log       = [];
+            active    = 0;
+            maxActive = 0;
+        });
+
+        it('should run independent steps concurrently, up to the given concurrency', async () => {
+            cacheFlow = new CacheFlow({cache, concurrency: 3});
+            await cacheFlow.add(['a', 'b', 'c', 'd', 'e'].map(name => step(name)));
+
+            await cacheFlow.run();
+
+            maxActive.should.equal(3);
+            log.filter(entry => entry.startsWith('end')).should.have.length(5);
+        });
+
+        it('should reject a concurrency below 1', () => {
+            [0, -1, NaN].forEach(concurrency => (() => new CacheFlow({cache, concurrency}))
+                .should.throw('The concurrency should be at least 1'));
+        });
+
+        it('should run the steps one by one in order by default', async () => {
+            await cacheFlow.add([step('a'), step('b')]);
+            await cacheFlow.run();
+            log.should.deep.equal(['start a', 'end a', 'start b', 'end b']);
+        });
+
+        it('should run a step once the steps it depends on have completed', async () => {
+            cacheFlow = new CacheFlow({cache, concurrency: 3});
+            await cacheFlow.add([step('a', {delay: 30}), step('b', {dependsOn: 'a'}), step('c')]);
+
+            await cacheFlow.run();
+
+            log.indexOf('start b').should.be.above(log.indexOf('end a'));
+            log.indexOf('start c').should.be.below(log.indexOf('end a'));
+        });
+
+        it('should derive dependencies from the input and output of the steps', async () => {
+            cacheFlow = new CacheFlow({cache, concurrency: 2});
+            await cacheFlow.add([
+                {intent: copyIntent(sourceFile, intermediateFile)},
+                {intent: copyIntent(intermediateFile, targetFile)},
+            ]);
+
+            cacheFlow.getGraph().get(cacheFlow.steps[1]).should.deep.equal([cacheFlow.steps[0]]);
+            await cacheFlow.run();
+            (await pathExists(targetFile)).should.be.true;
+        });
+
+        it('should stop starting new steps once a step fails, unless "failFast" is disabled', async () => {
+            await cacheFlow.add([step('a', {fail: true}), step('b')]);
+            await cacheFlow.run().should.be.rejectedWith('a failed');
+            log.should.deep.equal(['start a']);
+            cacheFlow.steps[0].error.message.should.equal('a failed');
+        });
+
+        it('should only leave out the steps that depend on a failed step if "failFast" is disabled', async () => {
+            cacheFlow = new CacheFlow({cache, failFast: false});
+            await cacheFlow.add([step('a', {fail: true}), step('b', {dependsOn: 'a'}), step('c', {fail: true}), step('d')]);
+
+            const error = await cacheFlow.run().should.be.rejectedWith('2 steps failed: "a" (a failed), "c" (c failed)');
+            error.errors.should.have.length(2);
+            log.should.deep.equal(['start a', 'start c', 'start d', 'end d']);
+        });
+
+        it('should throw on unknown and circular dependencies', async () => {
+            await cacheFlow.add([step('a', {dependsOn: 'b'}), step('b', {dependsOn: 'a'})])
+                .should.be.rejectedWith('Circular step dependency: a > b > a');
+
+            cacheFlow.clear();
+            await cacheFlow.add([step('a', {dependsOn: 'x'})])
+                .should.be.rejectedWith('Unknown step "x" (a dependency of "a")');
+        });
+    });
+});
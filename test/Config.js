@@ -0,0 +1,110 @@
+'use strict';
+
+require('./support/bootstrap');
+
+const fs      = require('fs');
+const path    = require('path');
+const del     = require('del');
+const pify    = require('pify');
+const fsExtra = require('fs-extra');
+
+const Cache  = require('./../lib/Cache');
+const Config = require('./../lib/Config');
+
+const directory = path.resolve('test/sample/project');
+
+// Config whose tasks keep track of the number of times they ran in runs.txt
+const config = `
+    const fs   = require('fs');
+    const path = require('path');
+
+    const file = name => path.join(__dirname, name);
+    const copy = (from, to) => () => {
+        fs.appendFileSync(file('runs.txt'), to + ';');
+        fs.mkdirSync(path.dirname(file(to)), {recursive: true});
+        fs.copyFileSync(file(from), file(to));
+    };
+
+    module.exports = {
+        workspace: '.cache',
+        maxSize:   '1mb',
+        tasks: {
+            compile: {command: copy('src.txt', 'build/compiled.txt'), input: ['src.txt'], output: ['build/compiled.txt'], intermediate: true},
+            bundle:  {command: copy('build/compiled.txt', 'dist/bundle.txt'), input: ['build/compiled.txt'], output: ['dist/bundle.txt'], dependsOn: 'compile'},
+            lint:    {command: () => {}, dependsOn: 'lint'},
+        },
+    };
+`;
+
+const readRuns = async () => {
+    const runs = await pify(fs.readFile)(path.join(directory, 'runs.txt'), 'utf8').catch(() => '');
+    return runs.split(';').filter(Boolean);
+};
+
+describe('Config', () => {
+
+    beforeEach(async () => {
+        await fsExtra.outputFile(path.join(directory, 'src.txt'), 'foo');
+        await fsExtra.outputFile(path.join(directory, 'johnnycache.config.js'), config);
+    });
+
+    afterEach(() => {
+        delete require.cache[path.join(directory, 'johnnycache.config.js')];
+        return del([directory]);
+    });
+
+    it('should find and load the config file in the given directory', () => {
+        const cache = Cache.fromConfig({cwd: directory});
+        cache.workspace.should.equal(path.join(directory, '.cache'));
+        cache.workingDirectory.should.equal(directory);
+        cache.maxSize.should.equal(1024 * 1024);
+        cache.config.tasks.should.have.keys('compile', 'bundle', 'lint');
+    });
+
+    it('should let the given options take precedence', () => {
+        Cache.fromConfig({cwd: directory, maxSize: '2mb', workspace: null}).maxSize.should.equal(2 * 1024 * 1024);
+    });
+
+    it('should load a JSON config file', async () => {
+        await fsExtra.outputJson(path.join(directory, '.johnnycacherc.json'), {tasks: {test: {command: 'true'}}});
+        await del([path.join(directory, 'johnnycache.config.js')]);
+        Cache.fromConfig({cwd: directory}).config.tasks.should.have.keys('test');
+    });
+
+    it('should throw if no config file is found', () => {
+        (() => Cache.fromConfig({cwd: __dirname})).should.throw('No config file found');
+    });
+
+    it('should resolve the task dependencies', () => {
+        const config = Config.load({cwd: directory});
+        config.resolveTasks('bundle').should.deep.equal(['compile', 'bundle']);
+        config.getSteps('bundle').map(step => step.isIntermediate).should.deep.equal([true, false]);
+        config.getSteps('bundle').map(step => step.dependsOn).should.deep.equal([[], ['compile']]);
+        config.getSteps('compile').map(step => step.isIntermediate).should.deep.equal([false]);
+        (() => config.resolveTasks('lint')).should.throw('Circular task dependency: lint > lint');
+        (() => config.resolveTasks('deploy')).should.throw('Unknown task "deploy"');
+    });
+
+    it('should map the task options onto the intent', () => {
+        const config = new Config({directory, tasks: {test: {command: 'true', input: ['a'], env: ['NODE_ENV'], output: ['b'], ttl: '1h'}}});
+        config.createIntent('test').options.should.deep.equal({action: 'test', input: ['a', '$NODE_ENV'], output: ['b'], ttl: 60 * 60 * 1000});
+        new Config({directory, tasks: {test: {command: 'true'}}}).createIntent('test').isCacheable.should.equal(false);
+    });
+
+    it('should run a task along with its dependencies and skip intermediate tasks where possible', async () => {
+        await Cache.fromConfig({cwd: directory}).runTask('bundle');
+        (await readRuns()).should.deep.equal(['build/compiled.txt', 'dist/bundle.txt']);
+
+        await del([path.join(directory, 'build'), path.join(directory, 'dist')]);
+        await Cache.fromConfig({cwd: directory}).runTask('bundle');
+        (await readRuns()).should.have.length(2);
+        (await pify(fs.readFile)(path.join(directory, 'dist/bundle.txt'), 'utf8')).should.equal('foo');
+        fs.existsSync(path.join(directory, 'build')).should.equal(false);
+    });
+
+    it('should run shell commands in the directory of the config file', async () => {
+        await fsExtra.outputJson(path.join(directory, 'cmd.json'), {tasks: {test: {command: 'echo bar > out.txt', output: ['out.txt']}}});
+        await Cache.fromConfig({filename: path.join(directory, 'cmd.json')}).runTask('test');
+        (await pify(fs.readFile)(path.join(directory, 'out.txt'), 'utf8')).trim().should.equal('bar');
+    });
+});
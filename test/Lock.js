@@ -0,0 +1,93 @@
+'use strict';
+
+require('./support/bootstrap');
+
+const fs    = require('fs');
+const del   = require('del');
+const pify  = require('pify');
+const sinon = require('sinon');
+
+const Lock = require('./../lib/Lock');
+
+const filename = 'test/sample/.lock';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Lock', () => {
+
+    afterEach(() => del([filename]));
+
+    it('should run functions holding the same lock one after the other', async () => {
+
+        const log = [];
+
+        const task = name => new Lock({filename}).run(async () => {
+            log.push(`${name} start`);
+            await delay(20);
+            log.push(`${name} end`);
+        });
+
+        await Promise.all([task('a'), task('b')]);
+
+        log.should.deep.equal(['a start', 'a end', 'b start', 'b end']);
+    });
+
+    it('should take over a stale lock', async () => {
+
+        await pify(fs.mkdir)(filename);
+        const past = new Date(Date.now() - 60000);
+        await pify(fs.utimes)(filename, past, past);
+
+        (await new Lock({filename}).run(() => 'done')).should.equal('done');
+    });
+
+    it('should let only one of the processes waiting for a stale lock take it over', async () => {
+
+        await pify(fs.mkdir)(filename);
+        const past = new Date(Date.now() - 60000);
+        await pify(fs.utimes)(filename, past, past);
+
+        // "b" finds the lock to be stale, but only acts on it after "a" took it over
+        const a = new Lock({filename});
+        const b = new Lock({filename});
+        const isStale = b.isStale.bind(b);
+        sinon.stub(b, 'isStale').callsFake(async (...args) => {
+            const stale = await isStale(...args);
+            await delay(50);
+            return stale;
+        });
+
+        const log  = [];
+        const task = (lock, name) => lock.run(async () => {
+            log.push(`${name} start`);
+            await delay(100);
+            log.push(`${name} end`);
+        });
+
+        await Promise.all([task(a, 'a'), task(b, 'b')]);
+
+        log.should.deep.equal(['a start', 'a end', 'b start', 'b end']);
+    });
+
+    it('should keep the lock fresh while it is held', async () => {
+
+        const log = [];
+        await Promise.all([
+            new Lock({filename, stale: 50}).run(async () => {
+                log.push('a start');
+                await delay(300);
+                log.push('a end');
+            }),
+            delay(20).then(() => new Lock({filename, stale: 50}).run(() => log.push('b'))),
+        ]);
+
+        log.should.deep.equal(['a start', 'a end', 'b']);
+    });
+
+    it('should give up if the lock is not released', async () => {
+
+        await pify(fs.mkdir)(filename);
+
+        return new Lock({filename, retries: 2}).acquire().should.be.rejectedWith(/Could not acquire lock/);
+    });
+});
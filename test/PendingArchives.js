@@ -0,0 +1,64 @@
+'use strict';
+
+require('./support/bootstrap');
+
+const fs    = require('fs');
+const del   = require('del');
+const pify  = require('pify');
+const sinon = require('sinon');
+
+const PendingArchives = require('./../lib/PendingArchives');
+
+const directory = 'test/sample/.pending';
+
+describe('PendingArchives', () => {
+
+    // A marker left behind by a process on another host, a long time ago
+    const writeStaleMarker = async filename => {
+        await pify(fs.mkdir)(directory);
+        await pify(fs.writeFile)(`${directory}/${filename}`, JSON.stringify({pid: 1, hostname: 'elsewhere'}));
+        const past = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+        await pify(fs.utimes)(`${directory}/${filename}`, past, past);
+    };
+
+    afterEach(() => del([directory]));
+
+    it('should not claim a filename that is claimed by another process', async () => {
+        (await new PendingArchives({directory}).claim('op.tar')).should.be.true;
+        (await new PendingArchives({directory}).claim('op.tar')).should.be.false;
+    });
+
+    it('should reclaim a filename of which the marker is stale', async () => {
+        await writeStaleMarker('op.tar');
+        (await new PendingArchives({directory}).claim('op.tar')).should.be.true;
+    });
+
+    it('should let only one of the processes that found a marker to be stale reclaim it', async () => {
+        await writeStaleMarker('op.tar');
+
+        // "b" finds the marker to be stale, but only acts on it after "a" reclaimed it
+        const a = new PendingArchives({directory});
+        const b = new PendingArchives({directory});
+        let reclaimed;
+        const aReclaimed = new Promise(resolve => reclaimed = resolve);
+        const read       = b.read.bind(b);
+        sinon.stub(b, 'read').callsFake(async filename => {
+            const marker = await read(filename);
+            await aReclaimed;
+            return marker;
+        });
+
+        const claimedByB = b.claim('op.tar');
+        (await a.claim('op.tar')).should.be.true;
+        reclaimed();
+
+        (await claimedByB).should.be.false;
+        (await pify(fs.readdir)(directory)).should.deep.equal(['op.tar']);
+    });
+
+    it('should remove stale markers when listing the pending archives', async () => {
+        await writeStaleMarker('op.tar');
+        (await new PendingArchives({directory}).list()).should.deep.equal([]);
+        (await pify(fs.readdir)(directory)).should.deep.equal([]);
+    });
+});
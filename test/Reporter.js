@@ -0,0 +1,57 @@
+'use strict';
+
+require('./support/bootstrap');
+
+const EventEmitter = require('events').EventEmitter;
+const sinon        = require('sinon');
+
+const Reporter = require('./../lib/Reporter');
+
+describe('Reporter', () => {
+
+    let cache, lines, reporter, clock;
+
+    beforeEach(() => {
+        clock    = sinon.useFakeTimers(10000);
+        cache    = new EventEmitter();
+        lines    = [];
+        reporter = new Reporter({write: line => lines.push(line)}).attach(cache);
+    });
+
+    afterEach(() => clock.restore());
+
+    it('should render the lifecycle events prefixed with their action', () => {
+        cache.emit('hash:end', {action: 'build', duration: 120});
+        cache.emit('lookup', {action: 'build', result: null, tier: null, duration: 3});
+        cache.emit('archive:end', {action: 'build', bytes: 2048, duration: 42000});
+        cache.emit('evict', {action: 'old', reason: 'quota'});
+
+        lines.should.deep.equal([
+            '[build] hashed the input in 120 ms',
+            '[build] no result found in 3 ms',
+            '[build] archived 2.0 kB in 42.0 s',
+            '[old] evicted a result (quota)',
+        ]);
+    });
+
+    it('should throttle progress events', () => {
+        cache.emit('extract:progress', {action: 'build', bytes: 1024, total: 4096});
+        cache.emit('extract:progress', {action: 'build', bytes: 2048, total: 4096});
+        cache.emit('extract:progress', {action: 'test', bytes: 2048, total: null});
+        clock.tick(1000);
+        cache.emit('extract:progress', {action: 'build', bytes: 3072, total: 4096});
+
+        lines.should.deep.equal([
+            '[build] extracting: 1.0 kB / 4.0 kB (25%)',
+            '[test] extracting: 2.0 kB',
+            '[build] extracting: 3.0 kB / 4.0 kB (75%)',
+        ]);
+    });
+
+    it('should stop rendering once detached', () => {
+        reporter.detach();
+        cache.emit('run', {action: 'build'});
+        lines.should.deep.equal([]);
+        cache.listenerCount('run').should.equal(0);
+    });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+require('./support/bootstrap');
+
+const _       = require('lodash');
+const del     = require('del');
+const pify    = require('pify');
+const sinon   = require('sinon');
+const fs      = require('fs');
+const fsExtra = require('fs-extra');
+
+const {Readable} = require('stream');
+
+const blobServer   = require('./support/blobServer');
+const Cache        = require('./../lib/Cache');
+const Intent       = require('./../lib/Intent');
+const SavedToCache = require('./../lib/SavedToCache');
+const HttpStorage  = require('./../lib/storage/HttpStorage');
+
+const options = {
+    action: 'op',
+    input:  ['test/sample/assets/*'],
+    output: ['test/sample/build/*'],
+};
+
+const copy = () => fsExtra.copy('test/sample/assets/foo.txt', 'test/sample/build/foo.txt');
+
+const uncopy = () => del(['test/sample/build']);
+
+describe('SharedTier', () => {
+
+    let server, blobs, storage;
+
+    const createCache = (workspace, sharedOptions = {}) => new Cache({
+        workspace,
+        shared: {storage, ...sharedOptions},
+    });
+
+    beforeEach(async () => {
+        let url;
+        ({server, blobs, url} = await blobServer());
+        storage = new HttpStorage({url});
+    });
+
+    afterEach(async () => {
+        await pify(server.close.bind(server))();
+        await del(['test/sample/build', '.johnny-ci', '.johnny-laptop']);
+    });
+
+    it('should restore a result stored by another cache from the shared tier, then from the local tier', async () => {
+
+        const run = sinon.spy(copy);
+
+        await createCache('.johnny-ci').run(new Intent(run, options));
+        await uncopy();
+
+        const laptop   = createCache('.johnny-laptop');
+        const download = sinon.spy();
+        laptop.on('download', download);
+
+        const first = await laptop.run(new Intent(run, options));
+        first.tier.should.equal(Cache.TIER_SHARED);
+        (await pify(fs.readFile)('test/sample/build/foo.txt', 'utf8')).should.equal('bar');
+
+        await uncopy();
+
+        const second = await laptop.run(new Intent(run, options));
+        second.tier.should.equal(Cache.TIER_LOCAL);
+        (await pify(fs.readFile)('test/sample/build/foo.txt', 'utf8')).should.equal('bar');
+
+        run.should.have.been.calledOnce;
+        download.should.have.been.calledOnce;
+    });
+
+    it('should not upload results to a read-only shared tier', async () => {
+
+        await createCache('.johnny-ci', {readOnly: true}).run(new Intent(copy, options));
+
+        blobs.size.should.equal(0);
+    });
+
+    it('should evict results from the shared tier once it exceeds its maximum size', async () => {
+
+        const cache = createCache('.johnny-ci', {maxSize: '3kb'});
+
+        await cache.run(new Intent(copy, options));
+        await cache.run(new Intent(copy, {...options, action: 'op2'}));
+
+        const docs = _.filter(Array.from(blobs.keys()), filename => filename.endsWith('.json'));
+        docs.should.have.length(1);
+    });
+
+    it('should run the operation and skip the upload if the shared tier cannot be reached', async () => {
+
+        const run   = sinon.spy(copy);
+        const cache = new Cache({workspace: '.johnny-ci', shared: {storage: new HttpStorage({url: 'http://127.0.0.1:9/'})}});
+        const error = sinon.spy();
+        cache.on('shared:error', error);
+
+        const result = await cache.run(new Intent(run, options));
+
+        result.should.be.an.instanceof(SavedToCache);
+        run.should.have.been.calledOnce;
+        _.map(error.args, ([{phase}]) => phase).should.deep.equal(['lookup', 'upload']);
+
+        await uncopy();
+
+        (await cache.run(new Intent(run, options))).tier.should.equal(Cache.TIER_LOCAL);
+        run.should.have.been.calledOnce;
+    });
+
+    it('should run the operation if the result cannot be downloaded from the shared tier', async () => {
+
+        const run = sinon.spy(copy);
+
+        await createCache('.johnny-ci').run(new Intent(run, options));
+        await uncopy();
+
+        const get = storage.get.bind(storage);
+        sinon.stub(storage, 'get').callsFake(filename => {
+            if (filename.endsWith('.json')) return get(filename);
+            return new Readable({read() {
+                this.destroy(new Error('Connection reset'));
+            }});
+        });
+
+        const laptop = createCache('.johnny-laptop');
+        const error  = sinon.spy();
+        laptop.on('shared:error', error);
+
+        const result = await laptop.run(new Intent(run, options));
+
+        result.should.be.an.instanceof(SavedToCache);
+        run.should.have.been.calledTwice;
+        error.should.have.been.calledWithMatch({phase: 'download', error: {message: 'Connection reset'}});
+        (await pify(fs.readFile)('test/sample/build/foo.txt', 'utf8')).should.equal('bar');
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+require('./support/bootstrap');
+
+const fs      = require('fs');
+const path    = require('path');
+const del     = require('del');
+const pify    = require('pify');
+const sinon   = require('sinon');
+const fsExtra = require('fs-extra');
+
+const Staging = require('./../lib/Staging');
+
+const root             = path.resolve('test/sample/staging');
+const workingDirectory = path.join(root, 'cwd');
+
+const read   = file => pify(fs.readFile)(path.join(workingDirectory, file), 'utf8');
+const exists = file => pify(fs.access)(path.join(workingDirectory, file)).then(() => true, () => false);
+
+describe('Staging', () => {
+
+    const createStaging = (output, clean = false) => new Staging({directory: path.join(root, 'staging'), workingDirectory, output, clean});
+
+    beforeEach(async () => {
+        await fsExtra.outputFile(path.join(root, 'staging/stage/dist/a.txt'), 'new a');
+        await fsExtra.outputFile(path.join(root, 'staging/stage/dist/b.txt'), 'new b');
+        await fsExtra.outputFile(path.join(root, 'staging/stage/lib/c.txt'), 'new c');
+    });
+
+    afterEach(() => del([root]));
+
+    it('should rename directories that do not exist in the working directory as a whole', async () => {
+        const {renamed, moved} = await createStaging(['dist/', 'lib/*']).swap();
+        renamed.should.deep.equal(['dist']);
+        moved.should.deep.equal(['lib/c.txt']);
+        (await read('dist/a.txt')).should.equal('new a');
+        (await read('lib/c.txt')).should.equal('new c');
+    });
+
+    it('should merge the staged files into existing directories', async () => {
+        await fsExtra.outputFile(path.join(workingDirectory, 'dist/a.txt'), 'old a');
+        await fsExtra.outputFile(path.join(workingDirectory, 'dist/stale.txt'), 'stale');
+
+        const {renamed, moved} = await createStaging(['dist']).swap();
+        renamed.should.deep.equal([]);
+        moved.should.deep.equal(['dist/a.txt', 'dist/b.txt', 'lib/c.txt']);
+        (await read('dist/a.txt')).should.equal('new a');
+        (await exists('dist/stale.txt')).should.equal(true);
+    });
+
+    it('should leave the existing parents of renamed directories alone', async () => {
+        await fsExtra.outputFile(path.join(root, 'staging/stage/deep/dist/a.txt'), 'new a');
+        await fsExtra.outputFile(path.join(workingDirectory, 'deep/other.txt'), 'other');
+
+        const {renamed} = await createStaging(['deep/dist']).swap();
+        renamed.should.deep.equal(['deep/dist']);
+        (await read('deep/dist/a.txt')).should.equal('new a');
+        (await read('deep/other.txt')).should.equal('other');
+    });
+
+    it('should replace the existing files matching the output if "clean" is set', async () => {
+        await fsExtra.outputFile(path.join(workingDirectory, 'dist/stale.txt'), 'stale');
+        await fsExtra.outputFile(path.join(workingDirectory, 'lib/stale.txt'), 'stale');
+
+        const {renamed} = await createStaging(['dist', 'lib/*'], true).swap();
+        renamed.should.deep.equal(['dist']);
+        (await exists('dist/stale.txt')).should.equal(false);
+        (await exists('lib/stale.txt')).should.equal(false);
+        (await read('dist/b.txt')).should.equal('new b');
+    });
+
+    it('should roll back all moves if the swap fails halfway', async () => {
+        await fsExtra.outputFile(path.join(workingDirectory, 'dist/a.txt'), 'old a');
+        await fsExtra.outputFile(path.join(workingDirectory, 'dist/stale.txt'), 'stale');
+
+        const staging = createStaging(['dist'], true);
+        const move    = staging.move.bind(staging);
+        sinon.stub(staging, 'move').callsFake(async (...args) => {
+            if (staging.journal.length === 2) throw new Error('Disk full');
+            return move(...args);
+        });
+
+        await staging.swap().should.be.rejectedWith('Disk full');
+        (await read('dist/a.txt')).should.equal('old a');
+        (await read('dist/stale.txt')).should.equal('stale');
+        (await exists('dist/b.txt')).should.equal(false);
+        (await exists('lib')).should.equal(false);
+    });
+
+    it('should remove the staging directory on cleanup', async () => {
+        const staging = createStaging(['dist']);
+        await staging.cleanup();
+        (await pify(fs.access)(staging.directory).then(() => true, () => false)).should.equal(false);
+    });
+});
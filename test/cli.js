@@ -0,0 +1,201 @@
+'use strict';
+
+require('./support/bootstrap');
+
+const fs        = require('fs');
+const del       = require('del');
+const pify      = require('pify');
+const execFile  = require('child_process').execFile;
+
+/**
+ * Run the CLI with the given arguments
+ * @param {String[]} args
+ * @returns {Promise.<{code: Number, stdout: String, stderr: String}>}
+ */
+const cli = args => new Promise(resolve => {
+    execFile(process.execPath, ['cli.js'].concat(args), (error, stdout, stderr) => {
+        resolve({code: error ? error.code : 0, stdout, stderr});
+    });
+});
+
+// Wrapped command that writes an output file and keeps track of the number of times it ran
+const script = `
+    const fs = require('fs');
+    fs.appendFileSync('test/sample/runs.txt', 'x');
+    fs.mkdirSync('test/sample/build', {recursive: true});
+    fs.writeFileSync('test/sample/build/out.txt', 'baz');
+    console.log('hello from the command');
+`;
+
+const runScript = (flags = []) => cli([
+    'run', '--input', 'test/sample/assets', '--output', 'test/sample/build', ...flags, '--', process.execPath, '-e', script,
+]);
+
+const countRuns = async () => (await pify(fs.readFile)('test/sample/runs.txt', 'utf8')).length;
+
+describe('cli', function () {
+
+    // Every test spawns a couple of processes
+    this.timeout(10000);
+
+    afterEach(() => del(['test/sample/build', 'test/sample/runs.txt', 'test/sample/.cache', '.johnny']));
+
+    describe('run', () => {
+
+        it('should run the command and forward its output', async () => {
+            const {code, stdout} = await runScript();
+            code.should.equal(0);
+            stdout.should.contain('hello from the command');
+            (await countRuns()).should.equal(1);
+        });
+
+        it('should restore the output from the cache the second time around', async () => {
+            await runScript();
+            await del(['test/sample/build']);
+            const {code, stderr} = await runScript();
+            code.should.equal(0);
+            stderr.should.contain('Restored');
+            (await countRuns()).should.equal(1);
+            (await pify(fs.readFile)('test/sample/build/out.txt', 'utf8')).should.equal('baz');
+        });
+
+        it('should forward the exit code and not store a result if the command fails', async () => {
+            const {code} = await cli(['run', '--output', 'test/sample/build', '--', process.execPath, '-e', 'process.exit(3)']);
+            code.should.equal(3);
+            const {results} = JSON.parse(await pify(fs.readFile)('.johnny/.index.json', 'utf8'));
+            results.should.have.length(0);
+        });
+
+        it('should apply the cache options', async () => {
+            await runScript(['--workspace', 'test/sample/.cache', '--compress', 'brotli:5', '--action', 'script']);
+            const {results} = JSON.parse(await pify(fs.readFile)('test/sample/.cache/.index.json', 'utf8'));
+            results[0].should.include({action: 'script'});
+            results[0].compress.should.deep.equal({codec: 'brotli', level: 5});
+        });
+
+        it('should report the timings of every phase with --verbose', async () => {
+            const {code, stderr} = await runScript(['--action', 'script', '--verbose']);
+            code.should.equal(0);
+            stderr.should.match(/\[script\] hashed the input in \d+ ms/);
+            stderr.should.contain('[script] no result found');
+            stderr.should.contain('[script] archived');
+        });
+
+        it('should fail if no command is given', async () => {
+            const {code, stderr} = await cli(['run', '--output', 'test/sample/build']);
+            code.should.equal(1);
+            stderr.should.contain('No command given');
+        });
+    });
+
+    describe('task', () => {
+
+        const config = 'test/sample/johnnycache.json';
+
+        beforeEach(() => pify(fs.writeFile)(config, JSON.stringify({
+            workspace: '.cache',
+            tasks:     {
+                build: {command: [process.execPath, '-e', script.replace(/test\/sample\//g, '')], input: ['assets'], output: ['build']},
+            },
+        })));
+
+        afterEach(() => del([config]));
+
+        it('should run the task declared in the config file, or restore it from the cache', async () => {
+            (await cli(['task', 'build', '--config', config])).stderr.should.contain('Saved "build"');
+            await del(['test/sample/build']);
+            (await cli(['task', 'build', '--config', config])).stderr.should.contain('Restored "build"');
+            (await countRuns()).should.equal(1);
+            (await pify(fs.readFile)('test/sample/build/out.txt', 'utf8')).should.equal('baz');
+        });
+
+        it('should show the plan without running anything with --dry-run', async () => {
+            const {stdout} = await cli(['task', 'build', '--config', config, '--dry-run', '--json']);
+            JSON.parse(stdout)[0].should.include({name: 'build', status: 'run'});
+            (await cli(['task', 'build', '--config', config, '--dry-run'])).stdout.should.match(/^STEP\s+STATUS\s+REASON\nbuild\s+RUN\s+no cached result/);
+            (await pify(fs.access)('test/sample/runs.txt').then(() => true, () => false)).should.equal(false);
+        });
+
+        it('should fail if the task is unknown', async () => {
+            const {code, stderr} = await cli(['task', 'deploy', '--config', config]);
+            code.should.equal(1);
+            stderr.should.contain('Unknown task "deploy"');
+        });
+    });
+
+    describe('maintenance', () => {
+
+        const json = async args => JSON.parse((await cli(args.concat('--json'))).stdout);
+
+        beforeEach(async () => {
+            await runScript(['--action', 'first']);
+            await runScript(['--action', 'second', '--ttl', '1d']);
+        });
+
+        it('should list all results', async () => {
+            (await json(['ls'])).map(result => result.action).should.deep.equal(['first', 'second']);
+
+            const {stdout} = await cli(['ls']);
+            stdout.should.match(/^ID\s+ACTION\s+SIZE\s+CREATED\s+EXPIRES/);
+            stdout.should.contain('first');
+            stdout.should.contain('second');
+        });
+
+        it('should show the details of results by action or id', async () => {
+            const [result] = await json(['info', 'second']);
+            result.should.include({action: 'second'});
+
+            (await json(['info', result.id.substring(0, 8)]))[0].should.deep.equal(result);
+
+            const {code, stderr} = await cli(['info', 'third']);
+            code.should.equal(1);
+            stderr.should.contain('No cached results found for "third"');
+        });
+
+        it('should remove results', async () => {
+            (await json(['rm', 'first'])).should.have.length(1);
+            (await json(['ls'])).map(result => result.action).should.deep.equal(['second']);
+        });
+
+        it('should prune results older than the given age', async () => {
+            await new Promise(resolve => setTimeout(resolve, 50));
+            (await json(['prune', '--older-than', '10s'])).should.have.length(0);
+            (await json(['prune', '--older-than', '10ms'])).should.have.length(2);
+        });
+
+        it('should prune results if the cache exceeds the given maximum size', async () => {
+            (await json(['prune', '--max-size', '3kb'])).should.have.length(1);
+        });
+
+        it('should verify the results', async () => {
+            (await cli(['verify'])).code.should.equal(0);
+
+            const [result] = await json(['info', 'first']);
+            await del([`.johnny/${result.filename}`]);
+
+            const {code, stdout} = await cli(['verify']);
+            code.should.equal(1);
+            stdout.should.contain('1 invalid result(s)');
+
+            (await cli(['verify', '--fix'])).code.should.equal(0);
+            (await json(['ls'])).should.have.length(1);
+        });
+
+        it('should show and reset the statistics', async () => {
+            const {total} = await json(['stats']);
+            total.should.include({hits: 0, misses: 2});
+
+            const {stdout} = await cli(['stats']);
+            stdout.should.match(/ACTION\s+HITS\s+MISSES\s+AUDITS\s+HIT RATE/);
+            stdout.should.match(/first\s+0\s+1\s+0\s+0%/);
+
+            (await cli(['stats', '--reset'])).code.should.equal(0);
+            (await cli(['stats'])).stdout.should.contain('No statistics recorded yet');
+        });
+
+        it('should clear the cache', async () => {
+            (await json(['clear'])).should.have.length(2);
+            (await json(['ls'])).should.have.length(0);
+        });
+    });
+});
@@ -9,6 +9,7 @@ const fs      = require('fs');
 const del     = require('del');
 const pify    = require('pify');
 const fsExtra = require('fs-extra');
+const hasha   = require('hasha');
 const fsCopy  = pify(fsExtra.copy);
 
 const Intent            = require('./../lib/Intent');
@@ -17,6 +18,7 @@ const SavedToCache      = require('./../lib/SavedToCache');
 const RestoredFromCache = require('./../lib/RestoredFromCache');
 const Result            = require('./../lib/Result');
 const Runner            = require('./../lib/Runner');
+const Operation         = require('./../lib/Operation');
 
 const shouldHaveNDocs = (cache, n) => () => cache.index.all().should.have.length(n);
 
@@ -225,6 +227,155 @@ describe('Cache', () => {
             runBasicCacheTests(() => _.omit(defaultOptions, 'input'));
         });
 
+        describe('"dedupe" layout', () => {
+            runBasicCacheTests(() => _.assign({}, defaultOptions, {layout: 'dedupe'}));
+
+            const options = {...defaultOptions, output: 'test/sample/build', layout: 'dedupe'};
+
+            it('should store identical files only once', async () => {
+                await doCached(copy, options);
+                await modify();
+                const {result} = await doCached(copy, options);
+
+                const blobs = await globby('.johnny/*.blob');
+                blobs.should.have.length(_.size(result.blobs));
+                _.size(result.blobs).should.equal(3);
+            });
+
+            it('should restore files in subdirectories', () => checkFile(options, 'test/sample/build/deep/path/file.txt'));
+
+            it('should keep blobs that are still referenced by another result when removing a result', async () => {
+                const {result: first} = await doCached(copy, options);
+                const {result: other} = await doCached(copy, {...options, action: 'op2'});
+                await cache.removeResults([first]);
+                await cache.purgeUntracked();
+                await uncopy();
+
+                await cache.restore(cache.convertIntent(new Intent(copy, {...options, action: 'op2'})));
+                other.blobs.should.deep.equal(first.blobs);
+                (await pify(fs.readFile)('test/sample/build/foo.txt', {encoding: 'utf8'})).should.equal('bar');
+            });
+        });
+
+        describe('"tree" layout', () => {
+            runBasicCacheTests(() => _.assign({}, defaultOptions, {layout: 'tree'}));
+
+            const options = {...defaultOptions, output: 'test/sample/build', layout: 'tree'};
+
+            it('should store the output as a directory tree in the workspace', async () => {
+                const {result} = await doCached(copy, options);
+                result.filename.should.match(/\.tree$/);
+                (await pify(fs.readFile)(cache.getAbsolutePath(`${result.filename}/test/sample/build/foo.txt`), {encoding: 'utf8'})).should.equal('bar');
+                result.fileSize.should.equal(_.sum(await Promise.all(
+                    ['foo.txt', '.boo', 'deep/path/file.txt'].map(async file => (await pify(fs.stat)(`test/sample/assets/${file}`)).size)
+                )));
+            });
+
+            it('should restore files as hardlinks if the filesystem does not support cloning and "hardlink" is enabled', async function () {
+                const {result} = await doCached(copy, {...options, hardlink: true});
+                const cached   = cache.getAbsolutePath(`${result.filename}/test/sample/build/foo.txt`);
+                const probe    = cache.getAbsolutePath('.probe');
+
+                // Skip on filesystems that support copy-on-write clones, as these are preferred
+                const clones = await pify(fs.copyFile)(cached, probe, fs.constants.COPYFILE_FICLONE_FORCE).then(() => true, () => false);
+                await del([probe]);
+                if (clones) return this.skip();
+
+                await uncopy();
+                await doCached(copy, {...options, hardlink: true});
+                (await pify(fs.stat)('test/sample/build/foo.txt')).ino.should.equal((await pify(fs.stat)(cached)).ino);
+            });
+
+            it('should not restore files as hardlinks by default', async () => {
+                const {result} = await doCached(copy, options);
+                const cached   = cache.getAbsolutePath(`${result.filename}/test/sample/build/foo.txt`);
+
+                await uncopy();
+                await doCached(copy, options);
+                (await pify(fs.stat)('test/sample/build/foo.txt')).ino.should.not.equal((await pify(fs.stat)(cached)).ino);
+            });
+
+            it('should delete the tree when the result is removed', async () => {
+                const {result} = await doCached(copy, options);
+                await cache.deleteResults([result]);
+                (await cache.storage.exists(result.filename)).should.equal(false);
+            });
+        });
+
+        describe('compression', () => {
+
+            const contents = 'Johnny Cache '.repeat(10000);
+
+            const writeLargeFile = async () => {
+                await pify(fsExtra.mkdirp)('test/sample/build');
+                await pify(fs.writeFile)('test/sample/build/large.txt', contents);
+            };
+
+            const options = compress => ({...defaultOptions, output: 'test/sample/build', compress});
+
+            const getArchiveSize = async compress => {
+                const {result} = await doCached(writeLargeFile, options(compress));
+                return (await pify(fs.stat)(cache.getAbsolutePath(result.filename))).size;
+            };
+
+            ['gzip', 'brotli', {codec: 'gzip', level: 9}, {codec: 'brotli', level: 4}].forEach(compress => {
+
+                it(`should compress and restore the archive using ${JSON.stringify(compress)}`, async () => {
+                    (await getArchiveSize(compress)).should.be.below(contents.length);
+                    await uncopy();
+                    await doCached(writeLargeFile, options(compress));
+                    (await pify(fs.readFile)('test/sample/build/large.txt', 'utf8')).should.equal(contents);
+                });
+            });
+
+            it('should not compress the archive if compression is disabled', async () => {
+                (await getArchiveSize(false)).should.be.above(contents.length);
+            });
+
+            it('should record the codec on the result', async () => {
+                const {result} = await doCached(writeLargeFile, options('brotli'));
+                result.filename.should.match(/\.tar\.br$/);
+                cache.index.all()[0].compress.should.deep.equal({codec: 'brotli', level: null});
+            });
+
+            it('should treat "true" as gzip', async () => {
+                const {result} = await doCached(writeLargeFile, options(true));
+                result.compress.should.deep.equal({codec: 'gzip', level: null});
+            });
+
+            it('should restore the plain archives of legacy results recorded as "compress: true"', async () => {
+                const {result} = await doCached(writeLargeFile, options(false));
+                await cache.index.update([result.id], {compress: true});
+                await uncopy();
+
+                (await doCached(writeLargeFile, options(false))).should.be.an.instanceof(RestoredFromCache);
+                (await pify(fs.readFile)('test/sample/build/large.txt', 'utf8')).should.equal(contents);
+            });
+
+            it('should reject unknown codecs', () => {
+                return doCached(writeLargeFile, options('lzma')).should.be.rejectedWith(/Unknown compression codec/);
+            });
+        });
+
+        it('should reject and discard the partial archive if an output file can not be read while archiving', async () => {
+            const lstat = fs.lstat;
+            const vanish = async () => {
+                await copy();
+                sinon.stub(fs, 'lstat').callsFake((file, ...args) => file.endsWith('foo.txt') ?
+                    args.pop()(Object.assign(new Error(`ENOENT: no such file or directory, lstat '${file}'`), {code: 'ENOENT'})) :
+                    lstat(file, ...args));
+            };
+
+            try {
+                await doCached(vanish).should.be.rejectedWith('ENOENT');
+            } finally {
+                fs.lstat.restore();
+            }
+
+            (await globby('.johnny/*.partial')).should.have.length(0);
+            cache.index.all().should.have.length(0);
+        });
+
         it('should return SavedToCache and RestoredFromCache objects for performance analytics purposes', () => {
             let run = sinon.spy();
             return doCached(run, defaultOptions)
@@ -264,6 +415,138 @@ describe('Cache', () => {
                 spy.should.have.been.calledTwice;
             });
         });
+        describe('restoreKeys', () => {
+
+            const options = {...defaultOptions, output: 'test/sample/build', restoreKeys: true};
+
+            it('should restore the most recent result of the same action before running the operation', async () => {
+                await doCached(copy, options);
+                await modify();
+                await uncopy();
+
+                let existedBeforeRun = null;
+                const saved = await doCached(() => pify(fs.access)('test/sample/build/foo.txt').then(
+                    () => existedBeforeRun = true,
+                    () => existedBeforeRun = false
+                ), options);
+
+                existedBeforeRun.should.be.true;
+                saved.should.be.an.instanceof(SavedToCache);
+                saved.status.should.equal(SavedToCache.STATUS_FALLBACK);
+                saved.fallback.should.be.an.instanceof(Result);
+            });
+
+            it('should restore a result of which the action starts with one of the given prefixes', async () => {
+                await doCached(copy, {...options, action: 'npm install (linux)'});
+                await modify();
+                await uncopy();
+
+                const fallback = sinon.spy();
+                cache.on('fallback', fallback);
+
+                await doCached(sinon.spy(), {...options, action: 'npm install (darwin)', restoreKeys: ['yarn', 'npm install']});
+                fallback.should.have.been.calledOnce;
+                fallback.firstCall.args[0].result.action.should.equal('npm install (linux)');
+            });
+
+            it('should distinguish exact restores, fallback restores and cold runs', async () => {
+                (await doCached(copy, options)).status.should.equal(SavedToCache.STATUS_COLD);
+                (await doCached(copy, options)).status.should.equal(RestoredFromCache.STATUS_EXACT);
+                await modify();
+                (await doCached(copy, options)).status.should.equal(SavedToCache.STATUS_FALLBACK);
+            });
+
+            it('should not restore a fallback result unless "restoreKeys" is given', async () => {
+                await doCached(copy, options);
+                await modify();
+                (await doCached(copy, {...options, restoreKeys: null})).status.should.equal(SavedToCache.STATUS_COLD);
+            });
+        });
+
+        describe('restoreMode', () => {
+
+            const stale  = 'test/sample/build/stale.txt';
+            const exists = file => pify(fs.access)(file).then(() => true, () => false);
+
+            // Store the result, then replace the output by a stale file
+            const prepare = async () => {
+                await doCached(copy);
+                await uncopy();
+                await fsExtra.outputFile(stale, 'stale');
+            };
+
+            it('should leave existing files in place by default ("merge")', async () => {
+                await prepare();
+                (await doCached(copy)).should.be.an.instanceof(RestoredFromCache);
+                (await exists(stale)).should.equal(true);
+                (await exists('test/sample/build/foo.txt')).should.equal(true);
+            });
+
+            it('should delete the files matching the output first if set to "clean"', async () => {
+                await prepare();
+                (await doCached(copy, {...defaultOptions, restoreMode: 'clean'})).should.be.an.instanceof(RestoredFromCache);
+                (await exists(stale)).should.equal(false);
+                (await exists('test/sample/build/foo.txt')).should.equal(true);
+            });
+
+            it('should refuse to restore over files that differ if set to "fail-on-conflict"', async () => {
+                const options = {...defaultOptions, restoreMode: 'fail-on-conflict'};
+                await prepare();
+                await fsExtra.outputFile('test/sample/build/foo.txt', 'changed');
+
+                const error = await doCached(copy, options).should.be.rejectedWith('Refusing to restore "op"');
+                error.conflicts.should.deep.equal(['test/sample/build/foo.txt']);
+                (await pify(fs.readFile)('test/sample/build/foo.txt', {encoding: 'utf8'})).should.equal('changed');
+                (await exists('test/sample/build/.boo')).should.equal(false);
+
+                await fsExtra.outputFile('test/sample/build/foo.txt', 'bar');
+                (await doCached(copy, options)).should.be.an.instanceof(RestoredFromCache);
+                (await exists('test/sample/build/.boo')).should.equal(true);
+                (await exists(stale)).should.equal(true);
+            });
+
+            it('should reject unknown restore modes', () => {
+                (() => cache.convertIntent(new Intent(copy, {...defaultOptions, restoreMode: 'overwrite'}))).should.throw('Unknown restore mode "overwrite"');
+            });
+        });
+
+        describe('key inputs', () => {
+
+            it('should run twice if a value of the "key" option changes', async () => {
+                const spy = sinon.spy();
+                await doCached(spy, {...defaultOptions, key: {config: {minify: true}}});
+                await doCached(spy, {...defaultOptions, key: {config: {minify: true}}});
+                await doCached(spy, {...defaultOptions, key: {config: {minify: false}}});
+                spy.should.have.been.calledTwice;
+            });
+
+            it('should resolve (async) functions in the "key" option and the input', async () => {
+                let version = 'gcc 9.1';
+                const spy     = sinon.spy();
+                const options = {...defaultOptions, input: [async () => version], key: {tool: () => version}};
+                await doCached(spy, options);
+                await doCached(spy, options);
+                version = 'gcc 9.2';
+                await doCached(spy, options);
+                spy.should.have.been.calledTwice;
+            });
+
+            it('should support the $node, $platform and $arch pseudo-inputs', async () => {
+                const {result} = await doCached(sinon.spy(), {...defaultOptions, input: ['$node', '$platform', '$arch']});
+                result.keyParts.builtins.should.deep.equal({
+                    node:     process.version,
+                    platform: process.platform,
+                    arch:     process.arch,
+                });
+            });
+
+            it('should store the key parts on the result', async () => {
+                process.env.SOME_VAR = 'foo';
+                await doCached(sinon.spy(), {...defaultOptions, input: ['$SOME_VAR', () => 'bar'], key: {baz: 1}});
+                const [doc] = cache.index.all();
+                doc.keyParts.should.deep.include({envs: {SOME_VAR: 'foo'}, functions: ['bar'], key: {baz: 1}});
+            });
+        });
     });
 
     describe('lifecycle events', () => {
@@ -321,6 +604,496 @@ describe('Cache', () => {
         });
     });
 
+    describe('integrity', () => {
+
+        // Flip a byte in the middle of the given file
+        const corrupt = async filename => {
+            const contents = await pify(fs.readFile)(filename);
+            contents[contents.length >> 1] ^= 0xff;
+            await pify(fs.writeFile)(filename, contents);
+        };
+
+        it('should record the checksum of the archive', async () => {
+            const {result} = await doCached(copy);
+            result.checksum.should.equal(await hasha.fromFile(cache.getAbsolutePath(result.filename), {algorithm: 'sha256'}));
+            cache.index.all()[0].checksum.should.equal(result.checksum);
+        });
+
+        it('should evict a corrupted result and run the operation instead of restoring it', async () => {
+            const {result} = await doCached(copy);
+            await corrupt(cache.getAbsolutePath(result.filename));
+            await uncopy();
+
+            const spy = sinon.spy();
+            cache.on('corrupted', spy);
+
+            const outcome = await doCached(copy);
+            outcome.should.be.an.instanceof(SavedToCache);
+            spy.should.have.been.calledOnce;
+            spy.firstCall.args[0].files.should.deep.equal([result.filename]);
+            (await pify(fs.readFile)('test/sample/build/foo.txt', {encoding: 'utf8'})).should.equal('bar');
+            cache.index.all().should.have.length(1);
+
+            (await doCached(copy)).should.be.an.instanceof(RestoredFromCache);
+        });
+
+        it('should evict a result that fails to extract and run the operation instead', async () => {
+            const {result} = await doCached(copy, {...defaultOptions, compress: 'gzip'});
+            await cache.index.update([result.id], {checksum: null});
+            await pify(fs.writeFile)(cache.getAbsolutePath(result.filename), 'not a gzip archive');
+            await uncopy();
+
+            const spy = sinon.spy();
+            cache.on('corrupted', spy);
+
+            (await doCached(copy, {...defaultOptions, compress: 'gzip'})).should.be.an.instanceof(SavedToCache);
+            spy.should.have.been.calledOnce;
+            spy.firstCall.args[0].error.should.be.an.instanceof(Error);
+            (await pify(fs.readFile)('test/sample/build/foo.txt', {encoding: 'utf8'})).should.equal('bar');
+            cache.index.all().should.have.length(1);
+        });
+
+        it('should replace corrupted blobs of the "dedupe" layout', async () => {
+            const options  = {...defaultOptions, layout: 'dedupe'};
+            const {result} = await doCached(copy, options);
+            const [hash]   = Object.keys(result.blobs);
+            await corrupt(cache.getAbsolutePath(`${hash}.blob`));
+
+            (await doCached(copy, options)).should.be.an.instanceof(SavedToCache);
+            (await doCached(copy, options)).should.be.an.instanceof(RestoredFromCache);
+        });
+
+        it('should report and remove corrupted and missing results with .verify', async () => {
+            const {result: first}  = await doCached(copy);
+            const {result: second} = await doCached(copy, {...defaultOptions, action: 'op2'});
+            await doCached(copy, {...defaultOptions, action: 'op3'});
+            await corrupt(cache.getAbsolutePath(first.filename));
+            await del([cache.getAbsolutePath(second.filename)]);
+
+            const {valid, invalid} = await cache.verify();
+            _.map(valid, 'action').should.deep.equal(['op3']);
+            _.map(invalid, 'reason').should.deep.equal([`Corrupted ${first.filename}`, `Missing ${second.filename}`]);
+
+            await cache.verify({remove: true});
+            _.map(cache.index.all(), 'action').should.deep.equal(['op3']);
+            (await pify(fs.access)(cache.getAbsolutePath(first.filename)).then(() => true, () => false)).should.equal(false);
+        });
+    });
+
+    describe('eviction policies', () => {
+
+        const run = action => doCached(copy, {...defaultOptions, action});
+
+        // Store three results, then restore the oldest one
+        const prepare = async () => {
+            await run('first');
+            await run('second');
+            await run('third');
+            await uncopy();
+            (await run('first')).should.be.an.instanceof(RestoredFromCache);
+        };
+
+        // Shrink the cache so that exactly one result is evicted
+        const evict = async policy => {
+            cache         = new Cache({evictionPolicy: policy});
+            cache.maxSize = _.sumBy(await cache.getResults(), 'fileSize') - 1;
+
+            const [evicted] = await cache.maintainMaxSize();
+            return evicted.action;
+        };
+
+        it('should track the last access time and the number of hits of every result', async () => {
+            const before = Date.now();
+            await prepare();
+            const first = _.find(cache.index.all(), {action: 'first'});
+            first.hits.should.equal(1);
+            first.lastAccess.should.be.at.least(before);
+            _.find(cache.index.all(), {action: 'second'}).hits.should.equal(0);
+        });
+
+        it('should evict the least recently used result with "lru"', async () => {
+            await prepare();
+            (await evict('lru')).should.equal('second');
+        });
+
+        it('should evict the least frequently used result with "lfu"', async () => {
+            await prepare();
+            (await evict('lfu')).should.equal('second');
+        });
+
+        it('should evict the oldest result with "fifo"', async () => {
+            await prepare();
+            (await evict('fifo')).should.equal('first');
+        });
+
+        it('should accept a custom function', async () => {
+            await prepare();
+            (await evict(result => result.action === 'third' ? 0 : 1)).should.equal('third');
+        });
+    });
+
+    describe('quotas and pins', () => {
+
+        const run = (version, options = {}) => doCached(copy, {...defaultOptions, action: 'deps', key: {version}, ...options});
+
+        const getVersions = () => _.map(_.filter(cache.index.all(), {action: 'deps'}), 'keyParts.key.version');
+
+        it('should keep at most "maxCount" results of an action with the "quota" option', async () => {
+            cache = new Cache({evictionPolicy: 'fifo'});
+
+            const spy = sinon.spy();
+            cache.on('quota', spy);
+
+            await doCached(copy, {...defaultOptions, action: 'other'});
+            for (const version of [1, 2, 3, 4]) await run(version, {quota: {maxCount: 3}});
+
+            getVersions().should.deep.equal([2, 3, 4]);
+            _.filter(cache.index.all(), {action: 'other'}).should.have.length(1);
+            spy.should.have.been.calledWithMatch({action: 'deps', quota: {maxCount: 3, maxSize: null}});
+        });
+
+        it('should let quotas set on the cache take precedence', async () => {
+            for (const version of [1, 2, 3]) await run(version, {quota: {maxCount: 3}});
+
+            cache.setQuota('deps', {maxCount: 1});
+            await cache.maintainMaxSize();
+            getVersions().should.deep.equal([3]);
+        });
+
+        it('should enforce the "maxSize" of a quota', async () => {
+            cache = new Cache({quotas: {deps: {maxSize: '1b'}}});
+            for (const version of [1, 2]) await run(version);
+
+            await cache.maintainMaxSize();
+            getVersions().should.deep.equal([]);
+        });
+
+        it('should never remove pinned results to maintain the quota or maximum size', async () => {
+            await run(1, {pin: true});
+            await run(2);
+            await run(3);
+
+            const [, second] = await cache.findResults('deps');
+            await cache.pin([second]);
+            _.map(_.filter(cache.index.all(), 'pinned'), 'keyParts.key.version').should.deep.equal([1, 2]);
+
+            cache.setQuota('deps', {maxCount: 1});
+            cache.maxSize = 0;
+            await cache.maintainMaxSize();
+            getVersions().should.deep.equal([1, 2]);
+
+            await cache.unpin([second]);
+            await cache.maintainMaxSize();
+            getVersions().should.deep.equal([1]);
+        });
+    });
+
+    describe('tags and metadata', () => {
+
+        const run = (action, options) => doCached(copy, {...defaultOptions, action, ...options});
+
+        const query = async filter => _.map(await cache.query(filter), 'action').sort();
+
+        beforeEach(async () => {
+            await run('main', {tags: ['build'], metadata: {branch: 'main', author: () => 'ci'}});
+            await run('feature', {tags: ['build', 'feature'], metadata: {branch: 'feature/x'}});
+            await run('untagged');
+        });
+
+        it('should store the tags and (resolved) metadata with the result', async () => {
+            const [result] = await cache.query({action: 'main'});
+            result.should.be.an.instanceof(Result);
+            result.tags.should.deep.equal(['build']);
+            result.metadata.should.deep.equal({branch: 'main', author: 'ci'});
+        });
+
+        it('should find the results matching the given filter', async () => {
+            (await query()).should.deep.equal(['feature', 'main', 'untagged']);
+            (await query({tags: 'build'})).should.deep.equal(['feature', 'main']);
+            (await query({tags: ['build', 'feature']})).should.deep.equal(['feature']);
+            (await query({metadata: {branch: 'feature/x'}})).should.deep.equal(['feature']);
+            (await query({action: 'untagged', tags: ['build']})).should.deep.equal([]);
+        });
+
+        it('should filter on the time of creation and whether results are pinned', async () => {
+            const [main] = await cache.query({action: 'main'});
+            await cache.pin([main]);
+
+            (await query({pinned: true})).should.deep.equal(['main']);
+            (await query({pinned: false})).should.deep.equal(['feature', 'untagged']);
+            (await query({createdAfter: main.created})).should.not.include('main');
+            (await query({createdBefore: new Date(main.created + 1)})).should.include('main');
+        });
+    });
+
+    describe('stats', () => {
+
+        it('should record the hits and misses of every action', async () => {
+            await doCached(copy);
+            await uncopy();
+            const {result, runtime} = await doCached(copy);
+            await doCached(copy, {...defaultOptions, action: 'other'});
+
+            const {since, actions, total} = await cache.stats();
+            since.should.be.a('number');
+            actions.op.should.include({hits: 1, misses: 1, hitRate: 0.5, restoreTime: runtime, timeSaved: result.runtime - runtime});
+            actions.op.bytesStored.should.equal(result.fileSize);
+            actions.other.should.include({hits: 0, misses: 1, hitRate: 0});
+            total.should.include({hits: 1, misses: 2});
+        });
+
+        it('should record audited results as audits rather than hits', async () => {
+            await doCached(copy);
+            await uncopy();
+            const {audit} = await doCached(copy, {...defaultOptions, audit: true});
+            audit.should.deep.equal({diff: null});
+
+            (await cache.stats()).actions.op.should.include({hits: 0, misses: 1, audits: 1, hitRate: 0, timeSaved: 0});
+        });
+
+        it('should record the evictions of every action', async () => {
+            await doCached(copy);
+            const [result] = await cache.getResults();
+
+            cache.maxSize = 0;
+            await cache.maintainMaxSize();
+
+            (await cache.stats()).actions.op.should.include({evictions: 1, bytesEvicted: result.fileSize});
+        });
+
+        it('should persist the stats and reset them', async () => {
+            await doCached(copy);
+            (await new Cache().stats()).total.misses.should.equal(1);
+
+            await cache.resetStats();
+            (await cache.stats()).should.deep.include({since: null, actions: {}});
+        });
+    });
+
+    describe('lifecycle events', () => {
+
+        let events;
+
+        // Record the name and payload of every event the cache fires
+        const record = () => {
+            events = [];
+            const emit = cache.emit.bind(cache);
+            sinon.stub(cache, 'emit').callsFake((event, payload) => {
+                events.push({event, payload});
+                return emit(event, payload);
+            });
+        };
+
+        const names   = () => _.uniq(_.map(events, 'event'));
+        const payload = event => _.find(events, {event}).payload;
+
+        it('should fire the lifecycle events of a cache miss with consistent payloads', async () => {
+            record();
+            await doCached(copy);
+
+            names().should.include.members(['hash:start', 'hash:end', 'query', 'lookup', 'run', 'archive:start', 'archive:progress', 'archive:end', 'saved']);
+            names().should.not.include('extract:start');
+            _.filter(events, ({payload}) => payload.operation || payload.result).forEach(({payload}) => payload.action.should.equal('op'));
+
+            payload('hash:end').duration.should.be.a('number');
+            payload('hash:end').inputHash.should.be.a('string');
+            payload('lookup').should.include({result: null, tier: null});
+            payload('query').query.should.include({action: 'op'});
+            payload('archive:end').bytes.should.equal(_.last(_.filter(events, {event: 'archive:progress'})).payload.bytes);
+        });
+
+        it('should fire the lifecycle events of a cache hit', async () => {
+            await doCached(copy);
+            await uncopy();
+
+            record();
+            const {result} = await doCached(copy);
+
+            names().should.include.members(['lookup', 'restore', 'extract:start', 'extract:progress', 'extract:end']);
+            payload('lookup').should.include({tier: 'local'});
+            payload('extract:progress').should.include({action: 'op', total: result.fileSize});
+            payload('extract:end').should.include({action: 'op', bytes: result.fileSize});
+        });
+
+        it('should fire an "evict" event for every evicted result', async () => {
+            await doCached(copy);
+            const [result] = await cache.getResults();
+
+            record();
+            cache.maxSize = 0;
+            await cache.maintainMaxSize();
+
+            payload('evict').should.deep.include({action: 'op', reason: 'maxSize'});
+            payload('evict').result.id.should.equal(result.id);
+        });
+    });
+
+    describe('file metadata', () => {
+
+        const mtime = new Date('2001-02-03T04:05:06Z');
+
+        // Operation that produces an executable, symlinks, an empty directory and a file with an old mtime
+        const produce = async () => {
+            await fsExtra.outputFile('test/sample/build/bin/run.sh', '#!/bin/sh\necho hello\n');
+            await pify(fs.chmod)('test/sample/build/bin/run.sh', 0o755);
+            await pify(fs.symlink)('bin/run.sh', 'test/sample/build/run');
+            await pify(fs.symlink)('bin', 'test/sample/build/bin-link');
+            await fsExtra.mkdirp('test/sample/build/empty');
+            await fsExtra.outputFile('test/sample/build/old.txt', 'old');
+            await pify(fs.utimes)('test/sample/build/old.txt', mtime, mtime);
+        };
+
+        const lstat = file => pify(fs.lstat)(`test/sample/build/${file}`);
+
+        for (const layout of ['archive', 'dedupe', 'tree']) {
+
+            describe(`"${layout}" layout`, () => {
+
+                const options = {...defaultOptions, output: 'test/sample/build', layout};
+
+                const restore = async (extra = {}) => {
+                    await doCached(produce, {...options, ...extra});
+                    await uncopy();
+                    (await doCached(produce, {...options, ...extra})).should.be.an.instanceof(RestoredFromCache);
+                };
+
+                it('should preserve symlinks', async () => {
+                    await restore();
+                    (await lstat('run')).isSymbolicLink().should.equal(true);
+                    (await lstat('bin-link')).isSymbolicLink().should.equal(true);
+                    (await pify(fs.readlink)('test/sample/build/run')).should.equal('bin/run.sh');
+                    (await pify(fs.readlink)('test/sample/build/bin-link')).should.equal('bin');
+                });
+
+                it('should preserve executable bits', async () => {
+                    await restore();
+                    ((await lstat('bin/run.sh')).mode & 0o111).should.equal(0o111);
+                    ((await lstat('old.txt')).mode & 0o111).should.equal(0);
+                });
+
+                it('should preserve empty directories', async () => {
+                    await restore();
+                    (await lstat('empty')).isDirectory().should.equal(true);
+                });
+
+                it('should restore the original mtimes by default', async () => {
+                    await restore();
+                    (await lstat('old.txt')).mtime.getTime().should.equal(mtime.getTime());
+                });
+
+                it('should set the mtimes to the time of restoring if "mtime" is "now"', async () => {
+                    const start = Date.now() - 2000;
+                    await restore({mtime: 'now'});
+                    (await lstat('old.txt')).mtime.getTime().should.be.above(start);
+                });
+
+                it('should keep the original mtimes in the cache when restoring with "now"', async () => {
+                    await restore({mtime: 'now'});
+                    await uncopy();
+                    (await doCached(produce, options)).should.be.an.instanceof(RestoredFromCache);
+                    (await lstat('old.txt')).mtime.getTime().should.equal(mtime.getTime());
+                });
+            });
+        }
+
+        it('should reject unknown mtime options', () => {
+            (() => cache.convertIntent(new Intent(produce, {...defaultOptions, mtime: 'later'}))).should.throw('Unknown mtime "later"');
+        });
+    });
+
+    describe('atomic restore', () => {
+
+        it('should extract the result into a staging directory and swap it into place', async () => {
+            await doCached(copy);
+            await uncopy();
+            const spy = sinon.spy();
+            cache.on('swap', spy);
+
+            await doCached(copy);
+            spy.should.have.been.calledOnce;
+            spy.firstCall.args[0].moved.should.include('test/sample/build/foo.txt');
+            (await pify(fs.readFile)('test/sample/build/foo.txt', {encoding: 'utf8'})).should.equal('bar');
+            (await globby('.johnny/.staging/*', {onlyFiles: false})).should.have.length(0);
+        });
+
+        it('should leave the output untouched if the extraction fails halfway', async () => {
+            await doCached(copy);
+            await uncopy();
+            await fsExtra.outputFile('test/sample/build/foo.txt', 'existing');
+
+            const extract = cache.extract.bind(cache);
+            sinon.stub(cache, 'extract').callsFake(async result => {
+                await extract(result);
+                throw new Error('Disk full');
+            });
+
+            await doCached(copy).should.be.rejectedWith('Disk full');
+            (await globby('test/sample/build/**', {dot: true})).should.deep.equal(['test/sample/build/foo.txt']);
+            (await pify(fs.readFile)('test/sample/build/foo.txt', {encoding: 'utf8'})).should.equal('existing');
+            (await globby('.johnny/.staging/*', {onlyFiles: false})).should.have.length(0);
+        });
+    });
+
+    describe('audit', () => {
+
+        const options = {...defaultOptions, audit: 1};
+
+        // Operation that embeds a "timestamp" in one of its output files
+        const stamp = async () => {
+            await copy();
+            await pify(fs.writeFile)('test/sample/build/foo.txt', String(Math.random()));
+            await pify(fs.writeFile)(`test/sample/build/${Math.random()}.txt`, 'new');
+        };
+
+        it('should record the content hash of the output files', async () => {
+            const {result: first}  = await doCached(copy);
+            const {result: second} = await doCached(copy, {...defaultOptions, action: 'op2', output: ['test/sample/build/*', 'test/sample/build/foo.txt']});
+            first.contentHash.should.equal(Operation.getContentHash(await cache.convertIntent(new Intent(copy, defaultOptions)).hashOutput()));
+            second.contentHash.should.equal(first.contentHash);
+            second.outputHash.should.not.equal(first.outputHash);
+        });
+
+        it('should not audit cache hits unless enabled', async () => {
+            await doCached(copy);
+            const spy = sinon.spy(copy);
+            (await doCached(spy)).should.be.an.instanceof(RestoredFromCache);
+            spy.should.not.have.been.called;
+        });
+
+        it('should run the operation again and compare the output if enabled', async () => {
+            await doCached(copy, options);
+            const listener = sinon.spy();
+            cache.on('nondeterministic', listener);
+
+            const spy     = sinon.spy(copy);
+            const outcome = await doCached(spy, options);
+            outcome.should.be.an.instanceof(RestoredFromCache);
+            outcome.audit.should.deep.equal({diff: null});
+            spy.should.have.been.calledOnce;
+            listener.should.not.have.been.called;
+        });
+
+        it('should emit a file-level diff if the output differs from the cached result', async () => {
+            await doCached(stamp, options);
+            await uncopy();
+            const listener = sinon.spy();
+            cache.on('nondeterministic', listener);
+
+            const {audit} = await doCached(stamp, options);
+            listener.should.have.been.calledOnce;
+            listener.firstCall.args[0].diff.should.deep.equal(audit.diff);
+            audit.diff.changed.should.deep.equal(['test/sample/build/foo.txt']);
+            audit.diff.added.should.have.length(1);
+            audit.diff.removed.should.have.length(1);
+        });
+
+        it('should be configurable on the cache', async () => {
+            cache = new Cache({audit: true});
+            await doCached(copy);
+            (await doCached(copy)).audit.should.deep.equal({diff: null});
+        });
+    });
+
     describe('.sync', () => {
         it('should delete the files of expired cache entries', () => {
             let expiresLater       = defaultOptions;
@@ -339,6 +1112,57 @@ describe('Cache', () => {
         });
     });
 
+    describe('shared workspace', () => {
+
+        it('should not lose rows when multiple caches write to the same index', async () => {
+            const other = new Cache();
+            await Promise.all([
+                doCached(sinon.spy(), defaultOptions),
+                other.run(new Intent(sinon.spy(), {...defaultOptions, action: 'op 2'})),
+            ]);
+            shouldHaveNDocs(await (new Cache()).sync(), 2)();
+        });
+
+        it('should not purge archives that are still being written', async () => {
+            await cache.sync();
+            await cache.pending.claim('pending.tar');
+            await pify(fs.writeFile)(cache.getAbsolutePath('pending.tar.partial'), '');
+
+            await cache.purgeUntracked();
+            await pify(fs.access)(cache.getAbsolutePath('pending.tar.partial'));
+
+            await cache.pending.release('pending.tar');
+            await cache.purgeUntracked();
+            await pify(fs.access)(cache.getAbsolutePath('pending.tar.partial')).should.be.rejected;
+        });
+
+        it('should not purge the temporary files of blobs that are still being written', async () => {
+            await cache.sync();
+            await cache.pending.claim('pending.json');
+            await cache.pending.reference('pending.json', ['abc.blob']);
+            await pify(fs.writeFile)(cache.getAbsolutePath('abc.blob.123-0a1b2c3d.partial'), '');
+
+            await cache.purgeUntracked();
+            await pify(fs.access)(cache.getAbsolutePath('abc.blob.123-0a1b2c3d.partial'));
+
+            await cache.pending.release('pending.json');
+            await cache.purgeUntracked();
+            await pify(fs.access)(cache.getAbsolutePath('abc.blob.123-0a1b2c3d.partial')).should.be.rejected;
+        });
+
+        it('should not let concurrent writers of the same file write to the same temporary file', async () => {
+            await Promise.all(_.times(3, () => cache.storage.put('abc.blob', fs.createReadStream('test/sample/assets/foo.txt'))));
+            (await pify(fs.readFile)(cache.getAbsolutePath('abc.blob'), 'utf8')).should.equal('bar');
+            (await globby('.johnny/*.partial')).should.have.length(0);
+        });
+
+        it('should not reserve a filename that is claimed by another process', async () => {
+            await cache.sync();
+            await cache.pending.claim('op.tar');
+            (await cache.reserveFilename('op.tar')).should.equal('op-1.tar');
+        });
+    });
+
     describe('.prepareResult', () => {
 
         let oci;
@@ -366,6 +1190,28 @@ describe('Cache', () => {
         });
     });
 
+    describe('.findResults', () => {
+
+        beforeEach(async () => {
+            const {result: first}  = await doCached(sinon.spy(), {...defaultOptions, action: 'first'});
+            const {result: second} = await doCached(sinon.spy(), {...defaultOptions, action: 'second'});
+            await cache.index.update([first.id], {id: 'abcd-1111'});
+            await cache.index.update([second.id], {id: 'abcd-2222'});
+        });
+
+        it('should find the results of an action, or the result with an id (prefix)', async () => {
+            _.map(await cache.findResults('first'), 'id').should.deep.equal(['abcd-1111']);
+            _.map(await cache.findResults('abcd-2222'), 'action').should.deep.equal(['second']);
+            _.map(await cache.findResults('abcd-2'), 'action').should.deep.equal(['second']);
+            (await cache.findResults('third')).should.deep.equal([]);
+        });
+
+        it('should reject id prefixes that are too short or ambiguous', async () => {
+            await cache.findResults('a').should.be.rejectedWith('The id prefix "a" is too short');
+            await cache.findResults('abcd').should.be.rejectedWith('The id prefix "abcd" is ambiguous, it matches 2 results');
+        });
+    });
+
     describe('.removeResults', () => {
         it('should remove the given results', () => {
             let results;
@@ -0,0 +1,140 @@
+'use strict';
+
+require('./../support/bootstrap');
+
+const fs          = require('fs');
+const http        = require('http');
+const del         = require('del');
+const pify        = require('pify');
+const sinon       = require('sinon');
+const fsExtra     = require('fs-extra');
+const PassThrough = require('stream').PassThrough;
+
+const blobServer  = require('./../support/blobServer');
+const Cache       = require('./../../lib/Cache');
+const Intent      = require('./../../lib/Intent');
+const HttpStorage = require('./../../lib/storage/HttpStorage');
+
+const streamOf = contents => {
+    const pass = new PassThrough();
+    pass.end(contents);
+    return pass;
+};
+
+const readStream = readable => new Promise((resolve, reject) => {
+    let data = '';
+    readable.on('data', chunk => data += chunk);
+    readable.on('end', () => resolve(data));
+    readable.on('error', reject);
+});
+
+describe('HttpStorage', () => {
+
+    let server, blobs, storage;
+
+    beforeEach(async () => {
+        let url;
+        ({server, blobs, url} = await blobServer());
+        storage = new HttpStorage({url});
+    });
+
+    afterEach(() => pify(server.close.bind(server))());
+
+    it('should put, get, list and delete files', async () => {
+
+        await storage.put('foo.tar', streamOf('bar'));
+
+        blobs.get('foo.tar').toString().should.equal('bar');
+        (await storage.exists('foo.tar')).should.be.true;
+        (await storage.list()).should.deep.equal(['foo.tar']);
+        (await readStream(storage.get('foo.tar'))).should.equal('bar');
+
+        await storage.delete('foo.tar');
+
+        (await storage.exists('foo.tar')).should.be.false;
+        (await storage.list()).should.deep.equal([]);
+    });
+
+    it('should emit an error on the stream if a file does not exist', () => {
+        return readStream(storage.get('missing.tar')).should.be.rejectedWith(/404/);
+    });
+
+    it('should emit an error on the stream if the connection drops before the whole file was received', async () => {
+        const dropping = http.createServer((req, res) => {
+            res.writeHead(200, {'Content-Length': 100});
+            res.write('only a part', () => res.socket.destroy());
+        });
+        await pify(dropping.listen.bind(dropping))(0, '127.0.0.1');
+
+        const {address, port} = dropping.address();
+        const dropped         = new HttpStorage({url: `http://${address}:${port}/`});
+
+        try {
+            await readStream(dropped.get('foo.tar')).should.be.rejectedWith('Incomplete response');
+        } finally {
+            await pify(dropping.close.bind(dropping))();
+        }
+    });
+
+    it('should abort the request if the stream that is put emits an error', async () => {
+        const aborting = http.createServer(req => req.resume());
+        const sockets  = [];
+        aborting.on('connection', socket => sockets.push(socket));
+        await pify(aborting.listen.bind(aborting))(0, '127.0.0.1');
+
+        const {address, port} = aborting.address();
+        const aborted         = new HttpStorage({url: `http://${address}:${port}/`});
+        const readable        = new PassThrough();
+        const put             = aborted.put('foo.tar', readable);
+
+        // Fail the upload once the server received the request, then wait for it to see the connection close
+        const closed = new Promise(resolve => aborting.once('request', req => {
+            req.on('close', () => resolve(true));
+            readable.emit('error', new Error('Read failed'));
+        }));
+        readable.write('only a part');
+
+        try {
+            await put.should.be.rejectedWith('Read failed');
+            (await Promise.race([closed, new Promise(resolve => setTimeout(resolve, 1000, false))])).should.be.true;
+        } finally {
+            sockets.forEach(socket => socket.destroy());
+            await pify(aborting.close.bind(aborting))();
+        }
+    });
+
+    describe('as the storage of a Cache', () => {
+
+        const options = {
+            action: 'op',
+            input:  ['test/sample/assets/*'],
+            output: ['test/sample/build/*'],
+        };
+
+        const copy = () => fsExtra.copy('test/sample/assets/foo.txt', 'test/sample/build/foo.txt');
+
+        afterEach(() => del(['test/sample/build', '.johnny']));
+
+        it('should store archives remotely and restore them', async () => {
+
+            const run = sinon.spy(copy);
+
+            await new Cache({storage}).run(new Intent(run, options));
+            await del(['test/sample/build']);
+
+            const restored = await new Cache({storage}).run(new Intent(run, options));
+
+            run.should.have.been.calledOnce;
+            blobs.has(restored.result.filename).should.be.true;
+            (await pify(fs.readFile)('test/sample/build/foo.txt', 'utf8')).should.equal('bar');
+        });
+
+        it('should not purge the archives of other caches sharing the storage', async () => {
+
+            const {result} = await new Cache({storage}).run(new Intent(copy, options));
+            await new Cache({storage, workspace: '.johnny/other'}).sync();
+
+            blobs.has(result.filename).should.be.true;
+        });
+    });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const http = require('http');
+
+/**
+ * Tiny in-memory stand-in for a PUT/GET blob server, as expected by the HttpStorage adapter
+ * @returns {Promise.<{server: http.Server, url: String, blobs: Map}>}
+ */
+module.exports = () => new Promise(resolve => {
+
+    const blobs = new Map();
+
+    const server = http.createServer((req, res) => {
+
+        const filename = decodeURIComponent(req.url.substring(1));
+
+        if (req.method === 'GET' && filename === '') {
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify(Array.from(blobs.keys())));
+        }
+
+        if (req.method === 'PUT') {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+                blobs.set(filename, Buffer.concat(chunks));
+                res.statusCode = 201;
+                res.end();
+            });
+            return;
+        }
+
+        if (!blobs.has(filename)) {
+            res.statusCode = 404;
+            return res.end();
+        }
+
+        if (req.method === 'GET') return res.end(blobs.get(filename));
+
+        if (req.method === 'HEAD') {
+            res.setHeader('Content-Length', blobs.get(filename).length);
+            return res.end();
+        }
+
+        if (req.method === 'DELETE') {
+            blobs.delete(filename);
+            res.statusCode = 204;
+            return res.end();
+        }
+
+        res.statusCode = 405;
+        res.end();
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+        const {address, port} = server.address();
+        resolve({server, blobs, url: `http://${address}:${port}/`});
+    });
+});
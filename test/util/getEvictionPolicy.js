@@ -0,0 +1,43 @@
+'use strict';
+
+require('./../support/bootstrap');
+
+const _ = require('lodash');
+
+const getEvictionPolicy = require('./../../lib/util/getEvictionPolicy');
+const getScoreForResult = require('./../../lib/util/getScoreForResult');
+const Result            = require('./../../lib/Result');
+
+describe('getEvictionPolicy', () => {
+
+    const oldButHot  = new Result({action: 'a', created: 1000, lastAccess: 5000, hits: 10});
+    const newButCold = new Result({action: 'b', created: 2000});
+
+    // Get the action of the result that would be evicted first
+    const evictedFirst = policy => _.minBy([oldButHot, newButCold], getEvictionPolicy(policy)).action;
+
+    it('should default to the "score" policy', () => {
+        getEvictionPolicy().should.equal(getScoreForResult);
+    });
+
+    it('should evict the least recently used result first with "lru"', () => {
+        evictedFirst('lru').should.equal('b');
+    });
+
+    it('should evict the least frequently used result first with "lfu"', () => {
+        evictedFirst('lfu').should.equal('b');
+    });
+
+    it('should evict the oldest result first with "fifo"', () => {
+        evictedFirst('fifo').should.equal('a');
+    });
+
+    it('should accept a custom function', () => {
+        const policy = result => result.fileSize;
+        getEvictionPolicy(policy).should.equal(policy);
+    });
+
+    it('should reject unknown policies', () => {
+        (() => getEvictionPolicy('random')).should.throw('Unknown eviction policy "random"');
+    });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+require('./../support/bootstrap');
+
+const getFreedSize = require('./../../lib/util/getFreedSize');
+const getTotalSize = require('./../../lib/util/getTotalSize');
+
+describe('getFreedSize', () => {
+
+    const archive = {fileSize: 100};
+    const first   = {fileSize: 10, blobs: {a: 1000, b: 200}};
+    const second  = {fileSize: 10, blobs: {a: 1000, c: 300}};
+
+    it('should return the file size of results without blobs', () => {
+        getFreedSize(archive, [first, second]).should.equal(100);
+    });
+
+    it('should only count the blobs that are not referenced by the remaining results', () => {
+        getFreedSize(first, [archive, second]).should.equal(210);
+        getFreedSize(first, [archive]).should.equal(1210);
+    });
+});
+
+describe('getTotalSize', () => {
+
+    it('should count blobs that are shared between results once', () => {
+        getTotalSize([
+            {fileSize: 100},
+            {fileSize: 10, blobs: {a: 1000, b: 200}},
+            {fileSize: 10, blobs: {a: 1000, c: 300}},
+        ]).should.equal(1620);
+    });
+});
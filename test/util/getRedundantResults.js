@@ -44,4 +44,21 @@ describe('getRedundantResults', () => {
             r1, r2, r3, r4
         ], 2000, 1000).should.deep.equal([]);
     });
-});
\ No newline at end of file
+
+    it('should remove results until the maximum number of results is no longer exceeded', () => {
+
+        getRedundantResults([
+            r1, r2, r3, r4
+        ], 2000, 1000, getScoreStub, 3).should.deep.equal([r4]);
+    });
+
+    it('should never remove pinned results', () => {
+
+        const pinned = {...makeMockResult(505), pinned: true};
+        getScoreStub.withArgs(pinned).returns(-1);
+
+        getRedundantResults([
+            r1, r2, pinned
+        ], 0, 1508).should.deep.equal([r1, r2]);
+    });
+});
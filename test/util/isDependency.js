@@ -4,6 +4,8 @@ require('./../support/bootstrap');
 
 const isDependency = require('./../../lib/util/isDependency');
 
+const {isProducedBy} = isDependency;
+
 describe('isDependency', () => {
 
     it('should determine whether some of the input files are contained by some of the output files', () => {
@@ -17,7 +19,76 @@ describe('isDependency', () => {
         isDependency(['foo/bar', 'baz'], ['foo']).should.be.true;
 
         isDependency(['bar/bar', 'baz'], ['foo']).should.be.false;
+    });
+
+    // [input, output, expected]
+    const matrix = {
+        'globstars': [
+            [['build/app.js'], ['build/**/*.js'], true],
+            [['build/lib/deep/app.js'], ['build/**/*.js'], true],
+            [['build/app.css'], ['build/*.js'], false],
+            [['build/**/*.js'], ['build/app.js'], true],
+            [['build/**/*.js'], ['src/**/*.js'], false],
+            [['src/**'], ['build/**'], false],
+        ],
+        'wildcards in both patterns': [
+            [['build/*.js'], ['build/app*'], true],
+            [['build/*.min.js'], ['build/*.js'], true],
+            [['build/*.js'], ['build/*.css'], false],
+            [['build/?.js'], ['build/[ab].js'], true],
+        ],
+        'directories on either side': [
+            [['baz'], ['baz/*'], true],
+            [['build'], ['build/**/*.js'], true],
+            [['build/'], ['build/app.js'], true],
+            [['./build/app.js'], ['build'], true],
+            [['build/*'], ['build/sub/app.js'], true],
+            [['buildings/app.js'], ['build'], false],
+        ],
+        'braces': [
+            [['build/{app,vendor}.js'], ['build/vendor.js'], true],
+            [['build/app.js'], ['build/{app,vendor}.{js,css}'], true],
+            [['build/{a,b}/*.js'], ['build/c/**'], false],
+        ],
+        'negations': [
+            [['build/**', '!build/gen/**'], ['build/gen/app.js'], false],
+            [['build/**', '!build/gen'], ['build/gen/**'], false],
+            [['build/**', '!build/gen/**'], ['build/app.js'], true],
+            [['build/app.js'], ['build', '!build/app.js'], false],
+            [['build/app.js'], ['build', '!build/*.map'], true],
+        ],
+        'env and function inputs': [
+            [['$NODE_ENV', '$node'], ['build'], false],
+            [[() => 'build', '$build'], ['build'], false],
+            [['$NODE_ENV', 'build/app.js'], ['build'], true],
+        ],
+    };
+
+    Object.keys(matrix).forEach(kind => it(`should support ${kind}`, () => {
+        matrix[kind].forEach(([input, output, expected]) => isDependency(input, output).should.equal(expected,
+            `${JSON.stringify(input)} / ${JSON.stringify(output)}`));
+    }));
+
+    it('should resolve the patterns relative to the working directory of their operation', () => {
+        isDependency(['packages/a/build/app.js'], ['build'], '/repo', '/repo/packages/a').should.be.true;
+        isDependency(['build/app.js'], ['build'], '/repo/packages/b', '/repo/packages/a').should.be.false;
+        isDependency(['../a/src/app.js'], ['build/**'], '/repo/packages/b', '/repo/packages/a').should.be.false;
+        isDependency(['../a/build/app.js'], ['build/*.js'], '/repo/packages/b', '/repo/packages/a').should.be.true;
+        isDependency(['/repo/packages/a/build'], ['build/app.js'], '/elsewhere', '/repo/packages/a').should.be.true;
+    });
+
+    describe('isProducedBy', () => {
 
-        isDependency(['bar/bar', 'baz'], ['baz/*']).should.be.false;
+        it('should determine whether all of the input files are produced by the output', () => {
+            isProducedBy(['build/app.js'], ['build']).should.be.true;
+            isProducedBy(['build/lib/app.js'], ['build/**/*.js']).should.be.true;
+            isProducedBy(['build/*.js'], ['build/**']).should.be.true;
+            isProducedBy(['build/**'], ['build/*.js']).should.be.false;
+            isProducedBy(['build/app.js', 'src/index.js'], ['build']).should.be.false;
+            isProducedBy(['build/{app,vendor}.js'], ['build/{app,vendor,polyfills}.js']).should.be.true;
+            isProducedBy(['build/app.js'], ['build', '!build/*.js']).should.be.false;
+            isProducedBy(['$NODE_ENV'], ['build']).should.be.false;
+            isProducedBy(['../a/build/app.js'], ['build'], '/repo/packages/b', '/repo/packages/a').should.be.true;
+        });
     });
-});
\ No newline at end of file
+});